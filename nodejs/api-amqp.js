@@ -20,12 +20,65 @@
 "use strict";
 
 import rhea from "rhea";
+import { EventEmitter } from "events";
 import { ClientEndpoint } from "./src/client.js";
 import { ServerEndpoint } from "./src/server.js";
-import { STATE_ACCEPTED, STATE_MODIFIED, STATE_REJECTED, STATE_RELEASED } from "./src/constants.js";
+import { CodecRegistry } from "./src/codec.js";
+import { Metrics } from "./src/metrics.js";
+import { Tracer } from "./src/trace.js";
+import { Logger } from "./src/logger.js";
+import { DEFAULT_REPLY_CREDIT, STATE_ACCEPTED, STATE_MODIFIED, STATE_REJECTED, STATE_RELEASED } from "./src/constants.js";
+
+export { ValidationError, validate } from "./src/schema.js";
+export { CodecError } from "./src/codec.js";
+export { ApiError } from "./src/errors.js";
+export { Metrics } from "./src/metrics.js";
+export { Span, current_span, parse_traceparent } from "./src/trace.js";
+
+//
+// An APIConnection emits the following events:
+//   connected    => The AMQP connection is open.  Argument: {reconnected} - true if this is not the first connection
+//   disconnected => The AMQP connection was lost.  Argument: {error, reconnecting} - reconnecting is false if the
+//                   connection has been given up for good
+//   reconnecting => An attempt to re-establish the connection is scheduled
+//
+export class APIConnection extends EventEmitter {
+    //
+    // The options are passed through to the AMQP container's connect.  Of note:
+    //   host, port => The network address of the AMQP router or broker
+    //   username, password => Credentials for SASL authentication.  Requests carry the username as their user_id
+    //                         so that servers can identify the caller.
+    //   hosts => Optional list of 'host:port' strings or {host, port} objects to fail over between.  The hosts are
+    //            tried in order, overriding host and port.
+    //   reconnect => true (default) to reconnect with backoff, false to not reconnect, or a fixed delay in msec
+    //   initial_reconnect_delay, max_reconnect_delay => Bounds of the reconnect backoff in msec
+    //   reconnect_limit => Maximum number of consecutive reconnect attempts before giving up
+    //   content_type => Default content type for the bodies of requests and responses.  If not set, bodies are sent
+    //                   as plain AMQP values unless the other side asks for a content type.
+    //   compress_threshold => Encoded body size in bytes above which bodies are gzipped.  Default is no compression.
+    //   reply_credit => The number of replies the network may deliver ahead of their consumption.  Chunks of
+    //                   streamed responses that the application has not yet consumed count against this credit, so
+    //                   a slow consumer holds back the other replies on the connection.
+    //   stream_credit => The most reply credit the unread chunks of one streamed response may hold.  Default is
+    //                    half the reply credit.
+    //   metrics => A Metrics registry to record in, so that several connections can share one.  By default each
+    //              connection has its own.
+    //   tracing => Optional hooks {on_span_start, on_span_end} called with the client and server spans of the
+    //              connection, for exporting them to a tracing system (see Tracer).
+    //   logger => Optional logger for the connection's log records: an object with a method for each level
+    //             (trace, debug, info, warn, error) such as a pino or winston logger, or a function called with
+    //             (level, message, fields).  Default is to log nothing.
+    //   logger_style => 'fields-first' (default) to call logger methods with (fields, message) as pino does, or
+    //                   'message-first' to call them with (message, fields) as winston does
+    //
+    // Codecs for further content types can be added to the codecs registry.  The metrics of the connection and
+    // its endpoints are in the metrics registry (see Metrics.prometheus and ServerEndpoint.publish_metrics).
+    //
+    constructor(options={}) {
+        super();
+
+        this.logger = new Logger(options.logger, options.logger_style);
 
-export class APIConnection {
-    constructor(options) {
         //
         // Create an AMQP container dedicated to this API connection
         //
@@ -36,28 +89,59 @@ export class APIConnection {
         // Initialize internal state
         //
         this.reply_to = undefined;
+        this.user_id  = options.username;
+        this.codecs       = new CodecRegistry(options.compress_threshold);
+        this.content_type = options.content_type;
+        this.reply_credit     = options.reply_credit || DEFAULT_REPLY_CREDIT;
+        this.stream_credit    = options.stream_credit || Math.max(Math.floor(this.reply_credit / 2), 1);
+        this.reply_backlog    = 0;  // Replies received and held for the application
+        this.sendable_waiters = []; // Resolve functions waiting for the anonymous sender to have credit
+        this.connected        = false;
+        this.connect_count    = 0;
         this.server_endpoints = {};
         this.client_endpoints = {};
         this.in_flight        = {};
         this.next_cid         = 1;
+        this.metrics          = options.metrics || new Metrics();
+        this.tracer           = new Tracer(options.tracing, this.logger);
 
         //
         // Open the AMQP connection to the network
         //
-        this.amqpConnection = this.container.connect(options);
+        this.amqpConnection = this.container.connect(this._connect_options(options));
 
         //
-        // Set up a receiver with a dynamic address on which to receive replies
+        // Set up a receiver with a dynamic address on which to receive replies.  Credit is issued explicitly so
+        // that replies held for the application hold back the flow of further replies.
         //
-        this.replyReceiver = this.amqpConnection.open_receiver({source:{dynamic:true}});
+        this.replyReceiver = this.amqpConnection.open_receiver({source:{dynamic:true}, credit_window:0});
 
         //
         // Set up an anonymous sender over which to send addressed messages
         //
         this.anonSender = this.amqpConnection.open_sender();
+
+        const reply_credit  = this.metrics.gauge('amqp_api_reply_credit', 'Credit the network has to deliver replies');
+        const reply_backlog = this.metrics.gauge('amqp_api_reply_backlog', 'Replies held for the application');
+        const in_flight     = this.metrics.gauge('amqp_api_in_flight', 'Requests waiting for replies');
+        this.collector = () => {
+            const labels = { container: this.container.id };
+            reply_credit.set(labels, this.replyReceiver.credit);
+            reply_backlog.set(labels, this.reply_backlog);
+            in_flight.set(labels, Object.keys(this.in_flight).length);
+        };
+        this.metrics.collect(this.collector);
     }
 
+    //
+    // Close the connection along with its endpoints.  Their gauges are no longer reported, which matters when
+    // the metrics registry is shared with other connections.
+    //
     close() {
+        for (const endpoint of [...Object.values(this.server_endpoints), ...Object.values(this.client_endpoints)]) {
+            endpoint._release();
+        }
+        this.metrics.uncollect(this.collector);
         this.amqpConnection.close();
     }
 
@@ -98,6 +182,81 @@ export class APIConnection {
         }
     }
 
+    //
+    // If a list of failover hosts is supplied, supply connection details that rotate through the list on each
+    // connection attempt.
+    //
+    _connect_options(options) {
+        if (!options.hosts || options.hosts.length == 0) {
+            return options;
+        }
+        let connect_options = {};
+        for (const [k,v] of Object.entries(options)) {
+            if (k != 'hosts') {
+                connect_options[k] = v;
+            }
+        }
+        const hosts = options.hosts.map(h => {
+            if (typeof(h) == 'string') {
+                const [host, port] = h.split(':');
+                return {host: host, port: port ? parseInt(port) : 5672};
+            }
+            return {host: h.host, port: h.port || 5672};
+        });
+        let next_host = 0;
+        connect_options.connection_details = () => {
+            const host = hosts[next_host];
+            next_host = (next_host + 1) % hosts.length;
+            return {
+                host      : host.host,
+                port      : host.port,
+                transport : options.transport,
+                options   : connect_options,
+            };
+        };
+        return connect_options;
+    }
+
+    //
+    // Issue reply credit up to the limit, less the replies being held.  Credit is issued in batches to keep the
+    // number of flow frames down.
+    //
+    _replenish_reply_credit() {
+        const missing = this.reply_credit - this.reply_backlog - this.replyReceiver.credit;
+        if (missing > 0 && (missing >= this.reply_credit / 4 || this.replyReceiver.credit == 0)) {
+            this.replyReceiver.add_credit(missing);
+        }
+    }
+
+    //
+    // The application has consumed replies that were held for it.
+    //
+    _replies_consumed(count=1) {
+        this.reply_backlog -= count;
+        this._replenish_reply_credit();
+    }
+
+    //
+    // End a session of an endpoint that is being closed, which detaches its links.  rhea begins a session again
+    // when the peer answers a begin that was ended in the meantime, so a session is only ended once it is open.
+    //
+    _end_session(session) {
+        if (session.is_remote_open()) {
+            session.close();
+        } else {
+            session.once('session_open', () => session.close());
+        }
+    }
+
+    //
+    // Wait until the anonymous sender can take another message.
+    //
+    async _anon_sendable() {
+        while (!this.anonSender.sendable()) {
+            await new Promise((resolve) => this.sendable_waiters.push(resolve));
+        }
+    }
+
     _new_cid(dispatch_object) {
         const cid = this.next_cid;
         this.next_cid += 1;
@@ -110,17 +269,66 @@ export class APIConnection {
     }
 
     _setup_handlers() {
-        this.container.on('connection_open', (context) => {});
+        this.container.on('connection_open', (context) => {
+            this.logger.info('Connection open', {container: this.container.id, reconnected: this.connect_count > 0});
+            this.connected = true;
+            this.connect_count += 1;
+            this.emit('connected', {reconnected: this.connect_count > 1});
+        });
+        this.container.on('disconnected', (context) => {
+            //
+            // Links and sessions are re-attached automatically on reconnect but the deliveries on them are lost.
+            // Let the endpoints recover what they can.  This event also reports each failed reconnect attempt.
+            //
+            const reconnecting = !!context.reconnecting;
+            this.logger.warn('Connection lost', {container: this.container.id, reconnecting: reconnecting, err: context.error});
+            if (this.connected || !reconnecting) {
+                this.connected = false;
+                this.reply_to  = undefined;
+                for (const server of Object.values(this.server_endpoints)) {
+                    server._on_disconnected();
+                }
+                for (const client of Object.values(this.client_endpoints)) {
+                    client._on_disconnected(!reconnecting);
+                }
+                this.emit('disconnected', {error: context.error, reconnecting: reconnecting});
+            }
+            if (reconnecting) {
+                this.emit('reconnecting');
+            }
+        });
         this.container.on('receiver_open', async (context) => {
+            this.logger.debug('Receiver attached', {address: (context.receiver.source || {}).address});
             if (context.receiver == this.replyReceiver) {
                 this.reply_to = context.receiver.source.address;
+                this._replenish_reply_credit();
                 for (const client of Object.values(this.client_endpoints)) {
                     client._on_reply_addr_ready();
                 }
-                //console.log(`reply-to: ${this.reply_to}`);
             }
+            if (context.receiver.__endpoint) {
+                context.receiver.__endpoint._on_receiver_open(context.receiver);
+            }
+        });
+        this.container.on('sender_open', async (context) => {
+            this.logger.debug('Sender attached', {address: (context.sender.target || {}).address});
+        });
+        this.container.on('receiver_close', async (context) => {
+            const error = context.receiver.error;
+            this.logger.log(error ? 'warn' : 'debug', 'Receiver detached', {address: (context.receiver.source || {}).address, err: error});
+        });
+        this.container.on('sender_close', async (context) => {
+            const error = context.sender.error;
+            this.logger.log(error ? 'warn' : 'debug', 'Sender detached', {address: (context.sender.target || {}).address, err: error});
         });
         this.container.on('sendable', async (context) => {
+            if (context.sender == this.anonSender) {
+                const waiters = this.sendable_waiters;
+                this.sendable_waiters = [];
+                for (const resolve of waiters) {
+                    resolve();
+                }
+            }
             if (context.sender.__endpoint) {
                 context.sender.__endpoint._on_sendable(context.sender);
             }
@@ -128,12 +336,30 @@ export class APIConnection {
         this.container.on('message', async (context) => {
             try {
                 if (context.receiver == this.replyReceiver) {
-                    const cid         = context.message.correlation_id;
-                    const destination = this.in_flight[cid];
-                    if (destination) {
-                        await destination._dispatch(context);
-                    } else {
-                        throw new Error(`Reply message for unknown correlation_id ${cid}`);
+                    //
+                    // A destination that holds on to the reply for the application returns true.  Until it is
+                    // consumed, the reply holds back credit for further replies.
+                    //
+                    let held = false;
+                    try {
+                        const cid         = context.message.correlation_id;
+                        const destination = this.in_flight[cid];
+                        if (destination) {
+                            held = destination._dispatch(context) === true;
+                        } else if ((context.message.application_properties || {}).stream) {
+                            //
+                            // The rest of a stream the client stopped reading may still be on its way.
+                            //
+                        } else {
+                            this.logger.warn('Reply for unknown correlation_id', {correlation_id: cid});
+                            context.delivery.reject();
+                            context.delivery.settled = true;
+                        }
+                    } finally {
+                        if (held) {
+                            this.reply_backlog += 1;
+                        }
+                        this._replenish_reply_credit();
                     }
                 }
                 else if (context.receiver.__endpoint) {
@@ -142,7 +368,7 @@ export class APIConnection {
                     throw new Error(`Message received for which there is no registered endpoint`);
                 }
             } catch (err) {
-                console.log(`Exception in API message dispatch: ${err.stack}`);
+                this.logger.error('Exception in API message dispatch', {correlation_id: context.message.correlation_id, err: err});
                 context.delivery.reject();
                 context.delivery.settled = true;
             }
@@ -19,45 +19,364 @@
 
 "use strict";
 
-import { DEFAULT_TIMEOUT_MSEC, LINK_CLASS_FETCH, LINK_CLASS_MUTEX, STATE_ACCEPTED } from "./constants.js";
+import { randomUUID } from "crypto";
+import { DEFAULT_TIMEOUT_MSEC, TIMEOUT_GRACE_MSEC, REASON_GRACE_MSEC, DESCRIPTION_PATH, IDEMPOTENT_OPS, DEFAULT_RETRY_POLICY, RETRYABLE_STATUSES, STREAM_CHUNK, STREAM_END, STATE_RELEASED, STATE_MODIFIED, LINK_CLASS_FETCH, LINK_CLASS_MUTEX, LINK_CLASS_WATCH, LOCK_MODE_EXCLUSIVE, LOCK_TYPE_SEMAPHORE } from "./constants.js";
+import { validate, ValidationError } from "./schema.js";
+import { ApiError } from "./errors.js";
+import { Resource, ApiProxy } from "./resource.js";
+import { parse_traceparent } from "./trace.js";
 
+//
+// The response to a fetch.  A streamed response is resolved when its first chunk arrives, and its chunks are read
+// through the async-iterator interface.  Each chunk holds back one unit of reply credit until it is consumed, so
+// a slow reader throttles the server rather than piling up chunks in memory.  A stream holds no more than its share
+// of the connection's reply credit, so that a reader that falls behind doesn't hold back the other replies; chunks
+// beyond that share are buffered without holding credit.  A streamed response that won't be read to its end must
+// be closed.
+//
 export class FetchResult {
-    constructor(message) {
+    constructor(message, codecs) {
         this.message = message;
+        this.codecs  = codecs;
+        this.stream  = undefined;  // Streaming state, if this is a streamed response
+    }
+
+    //
+    // Return true if the response is streamed in chunks.
+    //
+    streaming() {
+        return this.stream !== undefined;
     }
 
     status() {
         return this.message.application_properties.status;
     }
 
+    //
+    // Return true if the status indicates success (2xx).
+    //
+    ok() {
+        const status = this.status();
+        return status >= 200 && status < 300;
+    }
+
+    //
+    // Return the body of the response, decoded according to its content type.  For a streamed response, this
+    // reads the rest of the stream and returns its chunks as an array.
+    //
     async data() {
-        return this.message.body;
+        if (this.streaming()) {
+            let chunks = [];
+            for await (const chunk of this) {
+                chunks.push(chunk);
+            }
+            return chunks;
+        }
+        return this._decode(this.message);
+    }
+
+    //
+    // Throw an ApiError if the status indicates failure, otherwise return this result.  The error carries the
+    // code, message and details from the standard error body when there is one.
+    //
+    async throw_if_error() {
+        if (this.ok()) {
+            return this;
+        }
+        throw error_response(this.message, await this.data());
+    }
+
+    //
+    // The reader is done with a streamed response.  Cancel the rest of the stream, drop the unread chunks and give
+    // back the reply credit they held.  A reader waiting for the next chunk sees the end of the stream.  Does
+    // nothing for a response that is not streamed.
+    //
+    close() {
+        const stream = this.stream;
+        if (stream === undefined) {
+            return;
+        }
+        if (!stream.ended) {
+            stream.ended = true;
+            stream.on_cancel();
+        }
+        stream.chunks = [];
+        stream.error  = undefined;
+        if (stream.held > 0) {
+            stream.on_consume(stream.held);
+            stream.held = 0;
+        }
+        this._wake();
+    }
+
+    //
+    // Iterate over the chunks of a streamed response.  A response that is not streamed yields its body once.
+    // Leaving the loop early cancels the rest of the stream.
+    //
+    async *[Symbol.asyncIterator]() {
+        if (!this.streaming()) {
+            yield await this.data();
+            return;
+        }
+        try {
+            let message;
+            while ((message = await this._next_chunk()) !== undefined) {
+                yield this._decode(message);
+            }
+        } finally {
+            this.close();
+        }
+    }
+
+    _decode(message) {
+        return this.codecs ? this.codecs.decode(message) : message.body;
+    }
+
+    _start_stream(share, on_consume, on_cancel) {
+        this.stream = {
+            share      : share,       // The most reply credit the stream's unread chunks may hold
+            on_consume : on_consume,  // Called with the number of consumed chunks that held credit
+            on_cancel  : on_cancel,   // Called if the reader gives up on the stream before its end
+            chunks     : [],          // Chunks received but not yet consumed
+            held       : 0,           // The number of unread chunks that hold reply credit
+            ended      : false,
+            error      : undefined,   // The error that ended the stream, raised after the buffered chunks
+            waiter     : undefined,   // The reader waiting for the next chunk
+        };
+    }
+
+    //
+    // Add a chunk to the stream.  Returns true if the chunk holds reply credit until it is consumed.
+    //
+    _push(message) {
+        const stream = this.stream;
+        if (stream.ended) {
+            return false;
+        }
+        stream.chunks.push(message);
+        this._wake();
+        if (stream.held < stream.share) {
+            stream.held += 1;
+            return true;
+        }
+        return false;
+    }
+
+    //
+    // The server has ended the stream.  An end marker with a failure status carries the error that stopped it.
+    //
+    _end(message) {
+        const ap = message.application_properties;
+        if (ap.status < 200 || ap.status >= 300) {
+            let body;
+            try {
+                body = this._decode(message);
+            } catch (err) {
+                body = undefined;
+            }
+            this.stream.error = error_response(message, body);
+        }
+        this.stream.ended = true;
+        this._wake();
+    }
+
+    _fail(error) {
+        if (!this.stream.ended) {
+            this.stream.error = error;
+            this.stream.ended = true;
+            this._wake();
+        }
+    }
+
+    _wake() {
+        const waiter = this.stream.waiter;
+        if (waiter) {
+            this.stream.waiter = undefined;
+            waiter();
+        }
+    }
+
+    async _next_chunk() {
+        const stream = this.stream;
+        while (stream.chunks.length == 0 && !stream.ended) {
+            await new Promise((resolve) => { stream.waiter = resolve; });
+        }
+        if (stream.chunks.length > 0) {
+            if (stream.held > 0) {
+                stream.held -= 1;
+                stream.on_consume(1);
+            }
+            return stream.chunks.shift();
+        }
+        if (stream.error) {
+            const error  = stream.error;
+            stream.error = undefined;
+            throw error;
+        }
+        return undefined;
     }
 }
 
+//
+// Build the ApiError for an error response, using the code, message and details from the standard error body
+// when there is one.
+//
+function error_response(message, body) {
+    const ap = message.application_properties;
+    if (body && typeof(body) == 'object' && body.message !== undefined) {
+        return new ApiError(ap.status, body.message, body.details, body.code);
+    }
+    return new ApiError(ap.status, typeof(body) == 'string' ? body : ap.status_description);
+}
+
 class OutgoingMessage {
     constructor(message, on_update) {
         this.message   = message;
         this.on_update = on_update;
+        this.delivery  = undefined;  // Set when the message is sent
+    }
+}
+
+//
+// A subscription to a resource on a server endpoint.  The updates from the server are delivered either to a
+// handler function supplied by the caller or, if there is no handler, through the async-iterator interface.
+//
+export class Watch {
+    constructor(handler, on_cancel) {
+        this.handler   = handler;
+        this.on_cancel = on_cancel;
+        this.ended     = false;
+        this.updates   = [];  // Updates received but not yet consumed by the iterator
+        this.waiters   = [];  // Iterator promises waiting for the next update
+    }
+
+    //
+    // Stop watching the resource.  This notifies the server that the subscription is no longer wanted.
+    //
+    cancel() {
+        if (!this.ended) {
+            this.on_cancel();
+            this._end();
+        }
+    }
+
+    next() {
+        if (this.updates.length > 0) {
+            return Promise.resolve({ value : this.updates.shift(), done : false });
+        }
+        if (this.ended) {
+            return Promise.resolve({ value : undefined, done : true });
+        }
+        return new Promise((resolve) => {
+            this.waiters.push(resolve);
+        });
+    }
+
+    return() {
+        this.cancel();
+        return Promise.resolve({ value : undefined, done : true });
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    _update(result) {
+        if (this.ended) {
+            return;
+        }
+        if (this.handler) {
+            this.handler(result);
+        } else if (this.waiters.length > 0) {
+            this.waiters.shift()({ value : result, done : false });
+        } else {
+            this.updates.push(result);
+        }
+    }
+
+    _end() {
+        this.ended = true;
+        for (const resolve of this.waiters) {
+            resolve({ value : undefined, done : true });
+        }
+        this.waiters = [];
+    }
+}
+
+//
+// Settle a request delivery that we are done with.  The peer doesn't have to answer a settlement, and rhea keeps a
+// delivery in the session's buffer until both sides have settled it, so it is counted as settled on both sides.
+// Otherwise the buffer fills up with the deliveries of released locks and renewed leases, and the link stalls.
+//
+function settle(delivery) {
+    delivery.update(true);
+    delivery.remote_settled = true;
+}
+
+//
+// Append query parameters to a path.
+//
+function with_query(path, query) {
+    let params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+        for (const v of Array.isArray(value) ? value : [value]) {
+            params.append(key, v);
+        }
+    }
+    const text = params.toString();
+    if (text == '') {
+        return path;
+    }
+    return path + (path.includes('?') ? '&' : '?') + text;
+}
+
+//
+// The application properties that carry the trace context of a span to the server.
+//
+function trace_properties(span) {
+    let properties = { traceparent: span.traceparent() };
+    if (span.tracestate !== undefined) {
+        properties.tracestate = span.tracestate;
     }
+    return properties;
+}
+
+//
+// Mark an error as one that may go away if the operation is attempted again.
+//
+function retryable(err) {
+    err.retryable = true;
+    return err;
 }
 
 export class ClientEndpoint {
     constructor(connection, address) {
         this.connection   = connection;
         this.address      = address;
+        this.logger       = connection.logger.child({endpoint: address});
         this.in_flight    = {};
+        this.recovery     = new Set(); // Functions that recover outstanding operations after the connection is lost
+        this.retry_policy = {};        // Overrides of DEFAULT_RETRY_POLICY for every fetch on this endpoint
         this.sessions     = {
             [LINK_CLASS_FETCH] : connection.amqpConnection.create_session(),
             [LINK_CLASS_MUTEX] : connection.amqpConnection.create_session(),
+            [LINK_CLASS_WATCH] : connection.amqpConnection.create_session(),
         }
         this.senders      = {
             [LINK_CLASS_FETCH] : this.sessions[LINK_CLASS_FETCH].open_sender({ target : `${address}/${LINK_CLASS_FETCH}` }),
-            [LINK_CLASS_MUTEX] : this.sessions[LINK_CLASS_MUTEX].open_sender({ target : `${address}/${LINK_CLASS_MUTEX}` }),
+            [LINK_CLASS_MUTEX] : this.sessions[LINK_CLASS_MUTEX].open_sender({
+                target     : `${address}/${LINK_CLASS_MUTEX}`,
+                autosettle : false,  // Settlement by the server drops the mutex, we need to see it
+            }),
+            [LINK_CLASS_WATCH] : this.sessions[LINK_CLASS_WATCH].open_sender({
+                target     : `${address}/${LINK_CLASS_WATCH}`,
+                autosettle : false,  // Settlement by the server ends the watch, we need to see it
+            }),
         };
         this.outgoing     = {
             [LINK_CLASS_FETCH] : [],
             [LINK_CLASS_MUTEX] : [],
+            [LINK_CLASS_WATCH] : [],
         };
 
         for (let [lcls, sender] of Object.entries(this.senders)) {
@@ -68,184 +387,837 @@ export class ClientEndpoint {
         for (const session of Object.values(this.sessions)) {
             session.begin();
         }
+
+        const metrics = this.connection.metrics;
+        this.requests = metrics.counter('amqp_api_client_requests_total', 'Fetch requests by endpoint, op and status');
+        this.latency  = metrics.histogram('amqp_api_client_request_duration_seconds', 'Fetch response times');
+        const queue_depth = metrics.gauge('amqp_api_client_queue_depth', 'Requests waiting for link credit to be sent');
+        const credit      = metrics.gauge('amqp_api_client_link_credit', 'Credit of the request senders');
+        this.collector = () => {
+            for (const [link_class, sender] of Object.entries(this.senders)) {
+                const labels = { endpoint: this.address, link_class: link_class };
+                queue_depth.set(labels, this.outgoing[link_class].length);
+                credit.set(labels, sender.credit);
+            }
+        };
+        metrics.collect(this.collector);
+    }
+
+    //
+    // Stop using this endpoint.  Operations still outstanding fail as they would if the connection were lost, and
+    // held mutexes are dropped.  The endpoint's gauges are no longer reported, and the address may be used again.
+    //
+    close() {
+        for (const session of Object.values(this.sessions)) {
+            this.connection._end_session(session);
+        }
+        this._release();
+    }
+
+    //
+    // Let go of everything but the links, which go with the connection when it is the connection that closes.
+    //
+    _release() {
+        this.connection.metrics.uncollect(this.collector);
+        this._on_disconnected(true);
+        delete this.connection.client_endpoints[this.address];
     }
 
     //
     // Perform a REST/CRUD-style operation on a resource.
+    //   args:
+    //     op              => operation to perform (GET, PUT, POST, DELETE), default GET
+    //     body            => body of the request
+    //     timeout         => time in mSec to wait for the response.  The server is told the deadline and drops
+    //                        the request if it arrives too late to be answered in time.
+    //     deadline        => absolute time (mSec since the epoch) by which the response is needed, typically
+    //                        req.deadline of a request being handled.  The timeout is cut short to meet it.
+    //     acquisition_id  => fencing token of a held mutex, for resources that are protected by one
+    //     query           => object of query parameters to append to the path.  Array values are repeated.
+    //     headers         => object of custom header properties for the request
+    //     content_type    => content type in which to encode the body, default is the connection's content type
+    //     accept          => content types in which the response body may be encoded, in order of preference.
+    //                        Either an array or a comma-separated list as in HTTP.
+    //     schema          => optional {body, query} schemas to check the request against before sending it.  If the
+    //                        request doesn't match, the returned promise is rejected with a ValidationError.
+    //     retry           => overrides of the endpoint's retry policy {attempts, initial_delay, max_delay, jitter}.
+    //                        A request is retried when it times out, the network doesn't deliver it, or the
+    //                        server answers that it is unavailable (503), timed out (504) or that the caller
+    //                        has gone over its rate limit (429).
+    //     idempotency_key => key that identifies the request across retries.  If retries are allowed and no key
+    //                        is supplied, one is generated.  The server answers duplicates with the original response
+    //                        rather than running the operation again.
+    //     signal          => AbortSignal to cancel the request.  An unsent request is dropped, a sent one is
+    //                        withdrawn so the server can stop working on it.  The promise is rejected with the
+    //                        signal's reason.
+    //
+    // The request carries the trace context of a new client span.  Its parent is the span of the handler or
+    // critical section the fetch is made from, or the traceparent given in the headers.
     //
     fetch(path, args={}) {
-        return new Promise((resolve, reject) => {
-            //
-            // Establish the default options and override them with the arguments supplied.
-            //
-            let config = {
-                op      : 'GET',
-                timeout : DEFAULT_TIMEOUT_MSEC,
+        //
+        // Establish the default options and override them with the arguments supplied.
+        //
+        let config = {
+            op      : 'GET',
+            timeout : DEFAULT_TIMEOUT_MSEC,
+        }
+        for (const [key, val] of Object.entries(args)) {
+            config[key] = val;
+        }
+
+        //
+        // Catch a bad request here rather than waiting for the server to reject it.
+        //
+        if (config.schema) {
+            let violations = [];
+            if (config.schema.query) {
+                violations.push(...validate(config.schema.query, config.query || {}, 'query'));
+            }
+            if (config.schema.body) {
+                violations.push(...validate(config.schema.body, config.body, 'body'));
             }
-            for (const [key, val] of Object.entries(args)) {
-                config[key] = val;
+            if (violations.length > 0) {
+                return Promise.reject(new ValidationError('Request failed validation', violations));
             }
+        }
 
-            //
-            // Get a unique correlation-id for this request and store the response-handler for this request.
-            //
-            const cid = this.connection._new_cid(this);
-            this.in_flight[cid] = (context) => {
-                clearTimeout(timer);
-                delete this.in_flight[cid];
-                resolve(new FetchResult(context.message));
-            };
+        //
+        // Compose the request message for this operation.
+        //
+        let request = {
+            application_properties : {
+                ...config.headers,
+                op   : config.op,
+                path : config.query ? with_query(path, config.query) : path,
+            },
+        };
+        if (config.acquisition_id !== undefined) {
+            request.application_properties.acquisition_id = config.acquisition_id;
+        }
+        if (config.accept) {
+            request.application_properties.accept = Array.isArray(config.accept) ? config.accept.join(', ') : config.accept;
+        }
+        try {
+            const codecs = this.connection.codecs;
+            codecs.encode(request, config.body, codecs.negotiate(config.content_type, undefined, this.connection.content_type, config.body));
+        } catch (err) {
+            return Promise.reject(err);
+        }
 
-            //
-            // Set up a timer to handle the timeout failure.
-            //
-            const timer = setTimeout(() => {
-                delete this.in_flight[cid];
-                this.connection._cancel_cid(cid);
-                reject(new Error('Operation timed out without a response from the server'));
-            }, config.timeout);
+        const headers = config.headers || {};
+        const tracer  = this.connection.tracer;
+        const op      = config.op.toUpperCase();
+        const span    = tracer.start(`${op} ${path}`, 'client', {endpoint: this.address, path: path, op: op},
+                                     parse_traceparent(headers.traceparent, headers.tracestate));
+        Object.assign(request.application_properties, trace_properties(span));
 
-            //
-            // Compose the request message for this operation.
-            //
-            let request = {
-                correlation_id : cid,
-                application_properties : {
-                    op   : config.op,
-                    path : path,
-                },
-                body : config.body,
+        const policy = {...DEFAULT_RETRY_POLICY, ...this.retry_policy, ...config.retry};
+        if (config.idempotency_key !== undefined || policy.attempts > 1) {
+            request.application_properties.idempotency_key = config.idempotency_key !== undefined ? config.idempotency_key : randomUUID();
+        }
+
+        //
+        // Each attempt carries its own deadline.  The server answers with 504 when its handler doesn't respond by
+        // the deadline.  Allow a little extra time for that answer before giving up on the server entirely.
+        //
+        return this._traced(span, this._with_retry(policy, config.signal, () => {
+            let timeout = config.timeout;
+            if (config.deadline !== undefined) {
+                timeout = Math.max(Math.min(timeout, config.deadline - Date.now()), 0);
+            }
+            request.application_properties.deadline = Date.now() + timeout;
+            const start  = Date.now();
+            const record = (status) => {
+                const labels = { endpoint: this.address, op: op, status: status };
+                this.requests.inc(labels);
+                this.latency.observe(labels, (Date.now() - start) / 1000);
+                const fields = { path: path, op: op, correlation_id: request.correlation_id, status: status, duration: Date.now() - start };
+                if (status == 'timeout') {
+                    this.logger.warn('Request timed out', fields);
+                } else {
+                    this.logger.debug('Request completed', fields);
+                }
             };
+            const response = this._request(LINK_CLASS_FETCH, request, timeout + TIMEOUT_GRACE_MSEC, config.signal);
+            return response.then((result) => {
+                record(String(result.status()));
+                return result;
+            }, (err) => {
+                record(err.name == 'AbortError' ? 'aborted' : err.timeout ? 'timeout' : 'error');
+                throw err;
+            });
+        }));
+    }
 
-            //
-            // Enqueue the request for this link class and poke the sending process to flush it
-            // out in case it is possible to send now.
-            //
-            this.outgoing[LINK_CLASS_FETCH].push(new OutgoingMessage(request));
-            this._on_sendable(this.senders[LINK_CLASS_FETCH]);
+    //
+    // End a span when the operation it covers is finished.
+    //
+    _traced(span, promise) {
+        const tracer = this.connection.tracer;
+        return promise.then((result) => {
+            tracer.end(span, result instanceof FetchResult ? result.status() : undefined);
+            return result;
+        }, (err) => {
+            tracer.end(span, undefined, err);
+            throw err;
         });
     }
 
     //
-    // Start a watch for unsolicited updates on the state of a resource.
+    // Make attempts until one gets an answer that is not worth retrying or the policy's attempts are used up.  A
+    // server that limits the rate of requests says how long to wait (retry_after, in mSec) before the next one.
+    // Aborting the signal ends the wait between attempts.
     //
-    watch(path, args={}) {}
+    async _with_retry(policy, signal, attempt) {
+        let delay = policy.initial_delay;
+        for (let count = 1; ; count++) {
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+            let retry_after = 0;
+            try {
+                const result = await attempt();
+                if (!RETRYABLE_STATUSES.includes(result.status()) || count >= policy.attempts) {
+                    return result;
+                }
+                retry_after = result.message.application_properties.retry_after || 0;
+                result.close();
+            } catch (err) {
+                if (!err.retryable || count >= policy.attempts) {
+                    throw err;
+                }
+            }
+            const wait = Math.max(delay * (1 - policy.jitter * Math.random()), retry_after);
+            await new Promise((resolve, reject) => {
+                const on_abort = () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                };
+                const timer = setTimeout(() => {
+                    if (signal) {
+                        signal.removeEventListener('abort', on_abort);
+                    }
+                    resolve();
+                }, wait);
+                if (signal) {
+                    signal.addEventListener('abort', on_abort, {once: true});
+                }
+            });
+            delay = Math.min(delay * 2, policy.max_delay);
+        }
+    }
+
+    //
+    // Return a Resource with a method for each operation on the given path.  Parameters in the path (':name' or a
+    // trailing '*name') are filled in from params: resource('/items/:id', {id: 7}).get()
+    //
+    resource(path, params={}) {
+        return new Resource(this, path, params);
+    }
+
+    //
+    // Fetch the server's description (see describe) and return an ApiProxy whose resources offer only the routes,
+    // operations and locks in it.
+    //
+    async discover(args={}) {
+        return new ApiProxy(this, await this.describe(args));
+    }
+
+    //
+    // Fetch the description of the server's routes, published with ServerEndpoint.publish_description().
+    //   args: as for fetch, plus
+    //     path => optional path of the description route, if it is not the default
+    //
+    async describe(args={}) {
+        const result = await this.fetch(args.path || DESCRIPTION_PATH, args);
+        await result.throw_if_error();
+        return await result.data();
+    }
+
+    //
+    // Iterate over the items of a paged collection (see Request.page and Response.send_page on the server).  Each
+    // page is fetched when the iteration reaches it, and the iteration stops after the last page.  A page that
+    // fails is raised as an ApiError.
+    //   args: as for fetch, plus
+    //     limit => optional number of items to ask for in each page.  If not supplied, the server chooses.
+    //
+    async *paginate(path, args={}) {
+        let cursor = undefined;
+        do {
+            let query = { ...args.query };
+            if (args.limit !== undefined) {
+                query.limit = args.limit;
+            }
+            if (cursor !== undefined) {
+                query.cursor = cursor;
+            }
+            const result = await this.fetch(path, { ...args, query: query });
+            await result.throw_if_error();
+            const page = await result.data();
+            for (const item of page.items) {
+                yield item;
+            }
+            cursor = page.next;
+        } while (cursor !== undefined && cursor !== null);
+    }
+
+    //
+    // Start a watch for unsolicited updates on the state of a resource.  The server sends the current state
+    // of the resource followed by an update for every subsequent change until either side ends the watch.
+    //   args:
+    //     handler => optional function called with a FetchResult for each update.  If not supplied, the
+    //                updates are consumed by iterating over the returned Watch object (for await...of).
+    //     body    => optional body for the watch request
+    //     accept  => content types in which the updates may be encoded, as for fetch
+    //
+    watch(path, args={}) {
+        let config = {};
+        for (const [key, val] of Object.entries(args)) {
+            config[key] = val;
+        }
+
+        const cid = this.connection._new_cid(this);
+        let outgoing;
+        const watch = new Watch(config.handler, () => {
+            //
+            // Cancelled by the client, withdraw the watch request.
+            //
+            this._complete(cid, recover);
+            this._withdraw(LINK_CLASS_WATCH, outgoing);
+        });
+
+        //
+        // If the connection is lost, the watch is re-established on the new connection.  The server will send
+        // the current state again.
+        //
+        const recover = (final) => {
+            const sent = this._forget_delivery(outgoing);
+            if (final) {
+                this._complete(cid, recover);
+                this._withdraw(LINK_CLASS_WATCH, outgoing);
+                watch._end();
+            } else if (sent) {
+                this.outgoing[LINK_CLASS_WATCH].push(outgoing);
+            }
+        };
+        this.recovery.add(recover);
+
+        //
+        // The handler for this correlation-id stays in place for every update until the watch ends.
+        //
+        this.in_flight[cid] = (context) => {
+            watch._update(new FetchResult(context.message, this.connection.codecs));
+        };
+
+        let request = {
+            correlation_id : cid,
+            application_properties : {
+                op   : 'WATCH',
+                path : path,
+            },
+            body : config.body,
+        };
+        if (config.accept) {
+            request.application_properties.accept = Array.isArray(config.accept) ? config.accept.join(', ') : config.accept;
+        }
+
+        outgoing = new OutgoingMessage(request, (delivery, state) => {
+            if (delivery.remote_settled && !delivery.settled) {
+                //
+                // The server (or network) ended the watch.  The last update, which may be the error that ended
+                // it, comes on the reply link and can arrive after the settlement.  Give it a moment to catch up.
+                //
+                delivery.settled = true;
+                this.recovery.delete(recover);
+                const end = () => {
+                    clearTimeout(timer);
+                    this._complete(cid, recover);
+                    watch._end();
+                };
+                const timer = setTimeout(end, REASON_GRACE_MSEC);
+                this.in_flight[cid] = (context) => {
+                    watch._update(new FetchResult(context.message, this.connection.codecs));
+                    end();
+                };
+            }
+        });
+        this.outgoing[LINK_CLASS_WATCH].push(outgoing);
+        this._on_sendable(this.senders[LINK_CLASS_WATCH]);
+
+        return watch;
+    }
 
     //
     // Run a critical section with an acquired mutex.
     //   path => The API path of the mutex-set
     //   mutex_name => The name of the mutex in the set to be acquired
-    //   inner => The critical section function (must be an async function)
+    //   inner => The critical section function (must be an async function).  It is passed the acquisition-id
+    //            of the grant, a fencing token to be passed on to requests (fetch) made inside the critical section
     //   on_cancel => handler called if the mutex is dropped by the server
     //                This must stop the execution of the 'inner' function
     //   args:
     //     timeout => time in mSec to wait for acquisition, 0 == wait forever
     //     label   => label to describe this critical section - can be used by the server
+    //     lease   => time in mSec that the server will hold the mutex without hearing from us, 0 == no lease.
+    //                If the lease runs out, the server drops the mutex and on_cancel is called.
+    //     renew   => if true (the default), renew the lease in the background while the critical section runs
+    //     mode    => 'exclusive' (the default) or 'shared'.  Shared critical sections may run concurrently with
+    //                each other but never with an exclusive one.
+    //     signal  => AbortSignal to stop waiting for the mutex.  The request is withdrawn from the server's queue
+    //                and the promise is rejected with the signal's reason.  Once the mutex is acquired, aborting
+    //                has no effect, the inner function may watch the signal itself.
     //
     critical_section(path, mutex_name, inner, on_cancel, args={}) {
-        return new Promise((resolve, reject) => {
+        const lock_properties = {
+            mutex_name : mutex_name,
+            lock_mode  : args.mode || LOCK_MODE_EXCLUSIVE,
+        };
+        return this._acquire(path, lock_properties, inner, on_cancel, args);
+    }
+
+    //
+    // Run a function while holding permits from a counting semaphore.  This works like critical_section except
+    // that up to the semaphore's number of permits may be held at the same time.
+    //   path => The API path of the semaphore-set
+    //   name => The name of the semaphore in the set
+    //   permits => The number of permits to acquire
+    //   inner, on_cancel, args => As for critical_section (except for mode)
+    //
+    with_permits(path, name, permits, inner, on_cancel, args={}) {
+        const lock_properties = {
+            lock_type      : LOCK_TYPE_SEMAPHORE,
+            semaphore_name : name,
+            permits        : permits,
+        };
+        return this._acquire(path, lock_properties, inner, on_cancel, args);
+    }
+
+    //
+    // Acquire a lock, run the inner function, and release the lock.  The acquire request message is left
+    // unsettled for as long as the lock is held.  Settling it releases the lock.
+    //   lock_properties => Properties that identify the lock, included in the acquire and renew requests
+    //
+    _acquire(path, lock_properties, inner, on_cancel, args) {
+        //
+        // The span covers the wait for the lock and the critical section.  Requests made by the inner function
+        // are its children.
+        //
+        const tracer = this.connection.tracer;
+        const name   = lock_properties.mutex_name !== undefined ? lock_properties.mutex_name : lock_properties.semaphore_name;
+        const span   = tracer.start(`ACQUIRE ${path}`, 'client', {endpoint: this.address, path: path, op: 'ACQUIRE', lock_name: name});
+
+        return this._traced(span, new Promise((resolve, reject) => {
             //
             // Establish default options and overwrite with the supplied arguments
             //
-            let config = { timeout : DEFAULT_TIMEOUT_MSEC };
+            let config = {
+                timeout : DEFAULT_TIMEOUT_MSEC,
+                renew   : true,
+            };
             for (const [k,v] of Object.entries(args)) {
                 config[k] = v;
             }
+            if (config.signal && config.signal.aborted) {
+                reject(config.signal.reason);
+                return;
+            }
 
             //
-            // If a timeout is specified, set a timer to handle the timeout error.
+            // If a timeout is specified, set a timer to handle the timeout error.  The timeout is enforced by the
+            // server, this timer is a backstop in case the server never answers.  The request is withdrawn so
+            // the server doesn't later grant the mutex to a waiter that is no longer there.
             //
             let timer;
             if (config.timeout > 0) {
                 timer = setTimeout(() => {
-                    delete this.in_flight[cid];
-                    this.connection._cancel_cid(cid);
+                    stop_waiting();
+                    this._complete(cid, recover);
+                    this._withdraw(LINK_CLASS_MUTEX, outgoing);
+                    this.logger.warn('Timed out waiting for the lock', {path: path, ...lock_properties, correlation_id: cid});
                     reject(new Error('Timed out waiting for the mutex.  Critical section did not run.'));
-                }, config.timeout);
+                }, config.timeout + TIMEOUT_GRACE_MSEC);
             }
 
             //
             // Get a unique correlation-id and register a response handler.
             //
             const cid = this.connection._new_cid(this);
-            let   request_delivery;
+            let   acquired        = false;
             let   inner_completed = false;
-            this.in_flight[cid] = async (context) => {
+            let   cancelled       = false;
+            let   renewal;
+            let   reason_timer;
+
+            //
+            // Stop the timer and abort handling that only apply while waiting for the mutex.
+            //
+            const stop_waiting = () => {
                 if (timer) {
                     clearTimeout(timer);
                 }
+                if (config.signal) {
+                    config.signal.removeEventListener('abort', on_abort);
+                }
+            };
+
+            const on_abort = () => {
+                stop_waiting();
+                this._complete(cid, recover);
+                this._withdraw(LINK_CLASS_MUTEX, outgoing);
+                reject(config.signal.reason);
+            };
+            if (config.signal) {
+                config.signal.addEventListener('abort', on_abort);
+            }
+
+            const stop_renewal = () => {
+                if (renewal) {
+                    clearInterval(renewal);
+                    renewal = undefined;
+                }
+            };
+
+            //
+            // The mutex has been dropped without our input.  Call the on_cancel handler.
+            //
+            const dropped = () => {
+                stop_renewal();
+                if (!inner_completed && !cancelled) {
+                    cancelled = true;
+                    this.logger.warn('Lock dropped while held', {path: path, ...lock_properties, correlation_id: cid});
+                    on_cancel();
+                    reject(new Error('Mutex was dropped prematurely'));
+                }
+            };
+
+            this.in_flight[cid] = async (context) => {
+                stop_waiting();
+                clearTimeout(reason_timer);
+                delete this.in_flight[cid];
+                this.connection._cancel_cid(cid);
                 const ap = context.message.application_properties;
                 if (ap.status == 200) {
+                    acquired = true;
+                    this.logger.debug('Lock acquired', {path: path, ...lock_properties, acquisition_id: ap.acquisition_id});
+
                     //
-                    // Acquired the mutex, call the critical section function.
+                    // If we hold a lease on the mutex, renew it in the background several times per lease period
+                    // for as long as the critical section runs.  Renewals go on the mutex link so that they don't
+                    // wait behind fetches at a server that limits its concurrent requests.
                     //
-                    const rval = await inner(ap.acquisition_id);
-                    inner_completed = true;
+                    if (config.lease > 0 && config.renew) {
+                        renewal = setInterval(async () => {
+                            const renew_request = {
+                                application_properties : {
+                                    op             : 'renew',
+                                    path           : path,
+                                    ...lock_properties,
+                                    acquisition_id : ap.acquisition_id,
+                                    deadline       : Date.now() + config.lease,
+                                },
+                            };
+                            try {
+                                const result = await this._request(LINK_CLASS_MUTEX, renew_request, config.lease);
+                                if (result.status() != 200) {
+                                    dropped();
+                                }
+                            } catch (err) {
+                                // No answer this time, the next renewal may still get through before the lease runs out
+                            }
+                        }, config.lease / 3);
+                    }
 
                     //
-                    // Settle the delivery for the request message, signaling the release of the mutex.
+                    // Acquired the mutex, call the critical section function.
                     //
-                    if (request_delivery) {
-                        request_delivery.update(true);
+                    try {
+                        resolve(await tracer.run(span, () => inner(ap.acquisition_id)));
+                    } catch (err) {
+                        reject(err);
+                    } finally {
+                        inner_completed = true;
+                        stop_renewal();
+                        this.recovery.delete(recover);
+
+                        //
+                        // Settle the delivery for the request message, signaling the release of the mutex.  If the
+                        // connection was lost in the meantime, there is no delivery left to settle.
+                        //
+                        if (outgoing.delivery && !outgoing.delivery.settled) {
+                            settle(outgoing.delivery);
+                            this.logger.debug('Lock released', {path: path, ...lock_properties, acquisition_id: ap.acquisition_id});
+                        }
                     }
-                    resolve(rval);
                 } else {
+                    this.recovery.delete(recover);
+                    this.logger.info('Lock not acquired', {path: path, ...lock_properties, correlation_id: cid, status: ap.status});
                     reject(new Error(`Mutex error: (${ap.status}) ${ap.status_description}`));
                 }
             };
 
             //
-            // Compose the request message.
+            // Compose the request message.  The wait_time tells the server how long to keep the request queued.  The
+            // deadline lets it drop a request that arrives after we stopped waiting.
             //
             let request = {
                 correlation_id : cid,
                 application_properties : {
-                    op         : 'acquire',
-                    path       : path,
-                    mutex_name : mutex_name,
+                    op   : 'acquire',
+                    path : path,
+                    ...lock_properties,
+                    ...trace_properties(span),
                 },
                 body : config.body,
             };
+            if (config.timeout > 0) {
+                request.application_properties.wait_time = config.timeout;
+                request.application_properties.deadline  = Date.now() + config.timeout;
+            }
+            if (config.lease > 0) {
+                request.application_properties.lease_time = config.lease;
+            }
+            if (config.label) {
+                request.application_properties.label = config.label;
+            }
 
             //
             // Enqueue the request along with a disposition-update handler to track changes to the request delivery.
             //
-            this.outgoing[LINK_CLASS_MUTEX].push(new OutgoingMessage(request, (delivery, state) => {
-                if (state == STATE_ACCEPTED) {
-                    //
-                    // The request has been accepted.  This means it will be processed by the server.
-                    // Store the delivery so we can change its disposition later.
-                    //
-                    request_delivery = delivery;
-                    if (inner_completed) {
-                        delivery.settled = true;
-                    }
-                }
+            const outgoing = new OutgoingMessage(request, (delivery, state) => {
                 if (delivery.remote_settled && !delivery.settled) {
-                    //
-                    // The server (or network) settled the delivery before we did.  This means that the
-                    // mutex has been effectively dropped without our input.  Call the on_cancel handler.
-                    //
                     delivery.settled = true;
-                    on_cancel();
-                    reject(new Error('Mutex was dropped prematurely'));
+                    if (acquired) {
+                        //
+                        // The server (or network) settled the delivery before we did.  This means that the
+                        // mutex has been effectively dropped, perhaps because our lease ran out.
+                        //
+                        dropped();
+                    } else {
+                        //
+                        // The request was dropped before the mutex was granted.  The reply with the server's reason
+                        // comes on the reply link and can arrive after the settlement, so wait a moment for it.  The
+                        // response handler reports the reason if it comes.
+                        //
+                        stop_waiting();
+                        reason_timer = setTimeout(() => {
+                            this._complete(cid, recover);
+                            reject(new Error('Mutex request was dropped before the mutex was acquired'));
+                        }, REASON_GRACE_MSEC);
+                    }
+                }
+            });
+
+            //
+            // If the connection is lost, a held mutex is lost with it since the server releases the locks of a
+            // lost connection.  A request that is still waiting is queued again on the new connection.
+            //
+            const recover = (final) => {
+                const sent = this._forget_delivery(outgoing);
+                if (acquired) {
+                    dropped();
+                } else if (final) {
+                    stop_waiting();
+                    this._complete(cid, recover);
+                    this._withdraw(LINK_CLASS_MUTEX, outgoing);
+                    reject(new Error('Connection lost before the mutex was acquired'));
+                } else if (sent) {
+                    this.outgoing[LINK_CLASS_MUTEX].push(outgoing);
                 }
-            }));
+            };
+            this.recovery.add(recover);
+            this.outgoing[LINK_CLASS_MUTEX].push(outgoing);
 
             //
             // Kick the delivery-send process.
             //
             this._on_sendable(this.senders[LINK_CLASS_MUTEX]);
+        }));
+    }
+
+    //
+    // Send a request message on a link class and return a promise for the single reply to it.
+    //
+    _request(link_class, request, timeout, signal=undefined) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            //
+            // Get a unique correlation-id for this request and store the response-handler for this request.
+            //
+            const cid = this.connection._new_cid(this);
+            request.correlation_id = cid;
+            let result = undefined;
+            this.in_flight[cid] = (context) => {
+                const message = context.message;
+                const stream  = message.application_properties.stream;
+                if (result) {
+                    if (stream == STREAM_END) {
+                        finish();
+                        result._end(message);
+                        return false;
+                    }
+                    return result._push(message);
+                }
+                result = new FetchResult(message, this.connection.codecs);
+                if (stream != STREAM_CHUNK) {
+                    finish();
+                    resolve(result);
+                    return false;
+                }
+
+                //
+                // The first chunk of a streamed response.  The timeout covers the wait for the response to start,
+                // from here on the reader sets the pace.
+                //
+                clearTimeout(timer);
+                result._start_stream(this.connection.stream_credit, (count) => this.connection._replies_consumed(count), () => {
+                    finish();
+                    this._withdraw(link_class, outgoing);
+                });
+                resolve(result);
+                return result._push(message);
+            };
+
+            //
+            // Set up a timer to handle the timeout failure.
+            //
+            const timer = setTimeout(() => {
+                finish();
+                this._withdraw(link_class, outgoing);
+                let err = new Error('Operation timed out without a response from the server');
+                err.timeout = true;
+                reject(retryable(err));
+            }, timeout);
+
+            //
+            // A request that the network released or modified never reached a server that will answer it.  On a
+            // link that doesn't settle its deliveries by itself (lease renewals go on the mutex link), settle the
+            // delivery once the server has.
+            //
+            const outgoing = new OutgoingMessage(request, (delivery, state) => {
+                if (delivery.remote_settled && !delivery.settled) {
+                    settle(delivery);
+                }
+                if (state == STATE_RELEASED || state == STATE_MODIFIED) {
+                    finish();
+                    reject(retryable(new Error('Request was not delivered to a server')));
+                }
+            });
+
+            //
+            // If the connection is lost after the request was sent, the response will never arrive.  Requests for
+            // operations that are safe to repeat are sent again on the new connection, the others fail.
+            //
+            const ap         = request.application_properties;
+            const repeatable = IDEMPOTENT_OPS.includes(ap.op.toUpperCase()) || ap.idempotency_key !== undefined;
+            const recover    = (final) => {
+                const sent = this._forget_delivery(outgoing);
+                if (result && result.streaming()) {
+                    finish();
+                    result._fail(new Error('Connection lost before the end of the streamed response'));
+                } else if (final || (sent && !repeatable)) {
+                    finish();
+                    this._withdraw(link_class, outgoing);
+                    reject(new Error('Connection lost before a response was received from the server'));
+                } else if (sent) {
+                    this.outgoing[link_class].push(outgoing);
+                }
+            };
+            this.recovery.add(recover);
+
+            //
+            // If the request is aborted, drop it from the queue or withdraw it from the server.
+            //
+            const on_abort = () => {
+                finish();
+                this._withdraw(link_class, outgoing);
+                if (result && result.streaming()) {
+                    result._fail(signal.reason);
+                }
+                reject(signal.reason);
+            };
+            if (signal) {
+                signal.addEventListener('abort', on_abort);
+            }
+
+            const finish = () => {
+                clearTimeout(timer);
+                this._complete(cid, recover);
+                if (signal) {
+                    signal.removeEventListener('abort', on_abort);
+                }
+            };
+
+            //
+            // Enqueue the request for this link class and poke the sending process to flush it
+            // out in case it is possible to send now.
+            //
+            this.outgoing[link_class].push(outgoing);
+            this._on_sendable(this.senders[link_class]);
         });
     }
 
-    async _dispatch(context) {
+    //
+    // Deliver a reply to the handler for its correlation-id.  Each handler is responsible for removing itself
+    // from the in-flight tables once it expects no more replies.  Returns true if the handler holds on to the reply
+    // for the application.  This must be known before the next reply is dispatched, so it is not async.
+    //
+    _dispatch(context) {
         const cid     = context.message.correlation_id;
         const handler = this.in_flight[cid];
         if (handler) {
-            delete this.in_flight[cid];
-            this.connection._cancel_cid(cid);
-            handler(context);
+            return handler(context);
+        }
+    }
+
+    //
+    // Remove all trace of an operation that is complete.
+    //
+    _complete(cid, recover) {
+        delete this.in_flight[cid];
+        this.connection._cancel_cid(cid);
+        this.recovery.delete(recover);
+    }
+
+    //
+    // Withdraw a request that is no longer wanted.  If it has not yet been sent, simply remove it from the
+    // outgoing queue.  Otherwise, settle the request delivery to tell the server we are done with it.
+    //
+    _withdraw(link_class, outgoing) {
+        if (outgoing.delivery) {
+            if (!outgoing.delivery.settled) {
+                settle(outgoing.delivery);
+            }
+        } else {
+            const queue = this.outgoing[link_class];
+            const index = queue.indexOf(outgoing);
+            if (index >= 0) {
+                queue.splice(index, 1);
+            }
+        }
+    }
+
+    //
+    // Forget the delivery of a message that was sent on a lost connection.  The delivery must not be settled
+    // since its id may be re-used on the new connection.  Returns true if the message had been sent.
+    //
+    _forget_delivery(outgoing) {
+        const sent = outgoing.delivery != undefined;
+        outgoing.delivery = undefined;
+        return sent;
+    }
+
+    //
+    // The AMQP connection has been lost, and with it every unsettled delivery.  Let each outstanding operation
+    // recover.  If final is true, the connection will not be re-established.
+    //
+    _on_disconnected(final) {
+        for (const recover of [...this.recovery]) {
+            recover(final);
         }
     }
 
@@ -266,8 +1238,12 @@ export class ClientEndpoint {
             const outgoing = this.outgoing[link_class].shift();
             credit -= 1;
             outgoing.message.reply_to = this.connection.reply_to;
+            if (this.connection.user_id !== undefined) {
+                outgoing.message.user_id = this.connection.user_id;
+            }
             let delivery = sender.send(outgoing.message);
             delivery.__on_update = outgoing.on_update;
+            outgoing.delivery    = delivery;
         }
     }
 }
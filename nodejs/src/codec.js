@@ -0,0 +1,176 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+import rhea from "rhea";
+import zlib from "zlib";
+import { encode as msgpack_encode, decode as msgpack_decode } from "@msgpack/msgpack";
+import { CONTENT_TYPE_JSON, CONTENT_TYPE_TEXT, CONTENT_TYPE_BYTES, CONTENT_TYPE_MSGPACK } from "./constants.js";
+
+const AMQP_DATA_SECTION = 0x75;
+
+//
+// Thrown when a message body can't be decoded, either because its content type has no codec or because the body
+// is malformed.
+//
+export class CodecError extends Error {
+    constructor(message, unsupported=false) {
+        super(message);
+        this.name        = 'CodecError';
+        this.unsupported = unsupported; // True if there is no codec for the content type
+    }
+}
+
+//
+// The set of body codecs known to an APIConnection.  A codec is an object of the form:
+//   content_type => The media type it handles, e.g. 'application/json'
+//   encode       => function(value) returning a Buffer
+//   decode       => function(Buffer) returning a value
+//
+// Bodies encoded by a codec travel in an AMQP data section, labelled with the content_type (and content_encoding
+// if compressed).  A message without a content_type carries its body as a plain AMQP value, as it always has.
+//
+export class CodecRegistry {
+    constructor(compress_threshold) {
+        this.codecs             = {};
+        this.compress_threshold = compress_threshold; // Encoded size in bytes above which bodies are gzipped
+        this.register({
+            content_type : CONTENT_TYPE_JSON,
+            encode       : (value) => Buffer.from(JSON.stringify(value), 'utf8'),
+            decode       : (buffer) => buffer.length == 0 ? undefined : JSON.parse(buffer.toString('utf8')),
+        });
+        this.register({
+            content_type : CONTENT_TYPE_TEXT,
+            encode       : (value) => Buffer.from(String(value), 'utf8'),
+            decode       : (buffer) => buffer.toString('utf8'),
+        });
+        this.register({
+            content_type : CONTENT_TYPE_BYTES,
+            encode       : (value) => Buffer.from(value),
+            decode       : (buffer) => buffer,
+        });
+        this.register({
+            content_type : CONTENT_TYPE_MSGPACK,
+            encode       : (value) => Buffer.from(msgpack_encode(value)),
+            decode       : (buffer) => msgpack_decode(buffer),
+        });
+    }
+
+    register(codec) {
+        this.codecs[media_type(codec.content_type)] = codec;
+        return this;
+    }
+
+    get(content_type) {
+        return this.codecs[media_type(content_type)];
+    }
+
+    //
+    // Choose the content type for a body.  An explicit content type wins, then the first type in the accept list
+    // that has a codec, then the default.  Buffers that would otherwise go out as plain AMQP values are sent as
+    // raw bytes.  Returns undefined if the body should be sent as a plain AMQP value.
+    //
+    negotiate(content_type, accept, default_type, body) {
+        if (content_type) {
+            return content_type;
+        }
+        for (const type of parse_accept(accept)) {
+            if (this.get(type)) {
+                return type;
+            }
+        }
+        if (default_type) {
+            return default_type;
+        }
+        return Buffer.isBuffer(body) ? CONTENT_TYPE_BYTES : undefined;
+    }
+
+    //
+    // Put a body into a message, encoded with the codec for the content type.
+    //
+    encode(message, body, content_type) {
+        if (!content_type || body === undefined) {
+            message.body = body;
+            return message;
+        }
+        const codec = this.get(content_type);
+        if (!codec) {
+            throw new CodecError(`No codec for content type ${content_type}`, true);
+        }
+        let buffer = codec.encode(body);
+        if (this.compress_threshold !== undefined && buffer.length > this.compress_threshold) {
+            buffer = zlib.gzipSync(buffer);
+            message.content_encoding = 'gzip';
+        }
+        message.content_type = content_type;
+        message.body         = rhea.message.data_section(buffer);
+        return message;
+    }
+
+    //
+    // Return the decoded body of a message.
+    //
+    decode(message) {
+        if (!message.content_type) {
+            return message.body;
+        }
+        const codec = this.get(message.content_type);
+        if (!codec) {
+            throw new CodecError(`No codec for content type ${message.content_type}`, true);
+        }
+        try {
+            let buffer = message.body && message.body.typecode == AMQP_DATA_SECTION ? message.body.content : message.body;
+            if (buffer === undefined) {
+                return undefined;
+            }
+            if (message.content_encoding == 'gzip') {
+                buffer = zlib.gunzipSync(buffer);
+            } else if (message.content_encoding) {
+                throw new CodecError(`Unsupported content encoding ${message.content_encoding}`, true);
+            }
+            return codec.decode(Buffer.from(buffer));
+        } catch (err) {
+            if (err instanceof CodecError) {
+                throw err;
+            }
+            throw new CodecError(`Unable to decode ${message.content_type} body: ${err.message}`);
+        }
+    }
+}
+
+function media_type(content_type) {
+    return content_type.split(';')[0].trim().toLowerCase();
+}
+
+//
+// Parse an accept list ('application/msgpack, application/json;q=0.5' or an array of types) into a list of types
+// in order of preference.
+//
+function parse_accept(accept) {
+    if (!accept) {
+        return [];
+    }
+    const entries = (Array.isArray(accept) ? accept : accept.split(',')).map((entry, index) => {
+        const [type, ...params] = entry.split(';').map(part => part.trim());
+        const q = params.find(param => param.startsWith('q='));
+        return { type: type, q: q ? parseFloat(q.substring(2)) : 1, index: index };
+    });
+    return entries.filter(e => e.type && e.q > 0).sort((a, b) => b.q - a.q || a.index - b.index).map(e => e.type);
+}
@@ -20,6 +20,52 @@
 "use strict";
 
 export const DEFAULT_TIMEOUT_MSEC = 10000;
+export const TIMEOUT_GRACE_MSEC   = 500;  // Extra time allowed for the server to report a timeout it enforces
+export const REASON_GRACE_MSEC    = 100;  // Time allowed for a reply to catch up with the settlement it explains
+
+export const IDEMPOTENT_OPS = ['GET', 'PUT', 'DELETE'];  // Operations that are safe to repeat
+
+//
+// By default a fetch is attempted once.  With more attempts, the delay before each retry doubles from the initial
+// delay up to the maximum, less a random fraction (up to jitter) to spread out retries from many clients.
+//
+export const DEFAULT_RETRY_POLICY = {
+    attempts      : 1,
+    initial_delay : 100,
+    max_delay     : 5000,
+    jitter        : 0.5,
+};
+
+export const DEFAULT_REPLY_CREDIT   = 1000;   // Replies the network may deliver ahead of their consumption
+export const DEFAULT_REQUEST_CREDIT = 1000;   // Requests a server endpoint without a concurrency limit takes at once
+export const MAX_RATE_BUCKETS       = 10000;  // Callers a rate limit tracks before it forgets the idle ones
+
+export const DESCRIPTION_PATH = '/_description';  // Default path of the introspection route
+export const METRICS_PATH     = '/_metrics';      // Default path of the metrics route
+
+export const LOG_LEVELS              = ['trace', 'debug', 'info', 'warn', 'error'];
+export const LOG_STYLE_FIELDS_FIRST  = 'fields-first';   // logger.info(fields, message) as in pino and bunyan
+export const LOG_STYLE_MESSAGE_FIRST = 'message-first';  // logger.info(message, fields) as in winston
+
+export const ANY_CALLER = '*';  // Allows any authenticated caller in an authorization rule
+
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];  // In seconds
+
+export const DEFAULT_PAGE_LIMIT = 100;   // Items in a page when the client doesn't give a limit
+export const MAX_PAGE_LIMIT     = 1000;  // The largest page a client may ask for
+
+export const RETRYABLE_STATUSES = [429, 503, 504];  // Responses that are worth retrying: Too Many Requests, Service Unavailable, Gateway Timeout
+
+export const DEFAULT_REPLAY_CACHE_SIZE = 1000;  // Responses remembered by a server endpoint for duplicate requests
+
+export const CONTENT_TYPE_JSON    = 'application/json';
+export const CONTENT_TYPE_TEXT    = 'text/plain; charset=utf-8';
+export const CONTENT_TYPE_BYTES   = 'application/octet-stream';
+export const CONTENT_TYPE_MSGPACK = 'application/msgpack';
+export const CONTENT_TYPE_PROMETHEUS = 'text/plain; version=0.0.4; charset=utf-8';  // Prometheus text exposition format
+
+export const STREAM_CHUNK = 'chunk';  // Marks a message that carries one chunk of a streamed response
+export const STREAM_END   = 'end';    // Marks the message that ends a streamed response
 
 export const STATE_ACCEPTED = 1;
 export const STATE_REJECTED = 2;
@@ -28,3 +74,10 @@ export const STATE_MODIFIED = 4;
 
 export const LINK_CLASS_FETCH = 'f';
 export const LINK_CLASS_MUTEX = 'm';
+export const LINK_CLASS_WATCH = 'w';
+
+export const LOCK_MODE_EXCLUSIVE = 'exclusive';
+export const LOCK_MODE_SHARED    = 'shared';
+
+export const LOCK_TYPE_MUTEX     = 'mutex';
+export const LOCK_TYPE_SEMAPHORE = 'semaphore';
@@ -0,0 +1,58 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+import { STATUS_CODES } from "http";
+
+//
+// An error with an API status.  Server handlers throw it to answer with a chosen status, and the client raises it
+// for error responses (see FetchResult.throw_if_error).  Error responses carry a standard body:
+//   code    => A short machine-readable code, by default derived from the status ('not_found' for 404)
+//   message => A human-readable description of the error
+//   details => Optional further information, for example a list of validation violations
+//
+export class ApiError extends Error {
+    constructor(status, message, details=undefined, code=undefined) {
+        super(message || status_description(status));
+        this.name    = 'ApiError';
+        this.status  = status;
+        this.code    = code || status_code_name(status);
+        this.details = details;
+    }
+
+    //
+    // The standard body of an error response.
+    //
+    body() {
+        let body = { code: this.code, message: this.message };
+        if (this.details !== undefined) {
+            body.details = this.details;
+        }
+        return body;
+    }
+}
+
+export function status_description(status) {
+    return STATUS_CODES[status] || 'Error';
+}
+
+function status_code_name(status) {
+    return status_description(status).toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
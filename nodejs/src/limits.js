@@ -0,0 +1,87 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+import { MAX_RATE_BUCKETS } from "./constants.js";
+
+//
+// A token-bucket rate limit for each caller.  Each caller's bucket holds up to burst tokens and refills at rate
+// tokens per second.  A request takes one token.  Callers without an identity share one bucket.
+//
+export class RateLimiter {
+    constructor(rate, burst=undefined) {
+        if (!(rate > 0)) {
+            throw new Error('A rate limit needs a rate above zero');
+        }
+        this.rate    = rate;
+        this.burst   = Math.max(burst === undefined ? rate : burst, 1);
+        this.buckets = new Map(); // caller => {tokens, updated}
+    }
+
+    //
+    // Take a token for a request from the caller.  Returns 0 if there was one, or else the time in mSec until
+    // there will be.
+    //
+    take(caller, now=Date.now()) {
+        let bucket = this.buckets.get(caller);
+        if (bucket) {
+            bucket.tokens  = this._refill(bucket, now);
+            bucket.updated = now;
+        } else {
+            this._trim(now);
+            bucket = { tokens: this.burst, updated: now };
+            this.buckets.set(caller, bucket);
+        }
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) * 1000 / this.rate);
+    }
+
+    //
+    // Give back the token of a request that didn't go ahead after all.
+    //
+    give_back(caller) {
+        const bucket = this.buckets.get(caller);
+        if (bucket) {
+            bucket.tokens = Math.min(bucket.tokens + 1, this.burst);
+        }
+    }
+
+    _refill(bucket, now) {
+        return Math.min(bucket.tokens + (now - bucket.updated) * this.rate / 1000, this.burst);
+    }
+
+    //
+    // Forget the callers whose buckets have filled up again, so that the limit doesn't keep one for every caller
+    // it has ever seen.  A forgotten caller starts again with a full bucket.
+    //
+    _trim(now) {
+        if (this.buckets.size < MAX_RATE_BUCKETS) {
+            return;
+        }
+        for (const [caller, bucket] of this.buckets) {
+            if (this._refill(bucket, now) >= this.burst) {
+                this.buckets.delete(caller);
+            }
+        }
+    }
+}
@@ -0,0 +1,90 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+import { LOG_LEVELS, LOG_STYLE_FIELDS_FIRST, LOG_STYLE_MESSAGE_FIRST } from "./constants.js";
+
+//
+// Passes log records on to the application's logger, if it has one.  Each record has a level, a message and a
+// set of structured fields (endpoint, path, op, correlation_id, status, duration in mSec, ...).  The target is
+// either:
+//   - a function called with (level, message, fields), or
+//   - a logger object with a method for each level.  In the 'fields-first' style (pino, bunyan) the method is
+//     called with (fields, message), in the 'message-first' style (winston) with (message, fields).
+// Levels the target has no method for are dropped.  Without a target, nothing is logged.
+//
+export class Logger {
+    constructor(target=undefined, style=LOG_STYLE_FIELDS_FIRST, fields={}) {
+        if (style != LOG_STYLE_FIELDS_FIRST && style != LOG_STYLE_MESSAGE_FIRST) {
+            throw new Error(`Unknown logger style ${style}`);
+        }
+        this.target = target;
+        this.style  = style;
+        this.fields = fields;  // Fields included in every record
+    }
+
+    //
+    // Return a logger that adds the given fields to every record.
+    //
+    child(fields) {
+        return new Logger(this.target, this.style, { ...this.fields, ...fields });
+    }
+
+    trace(message, fields={}) {
+        this.log('trace', message, fields);
+    }
+
+    debug(message, fields={}) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields={}) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields={}) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields={}) {
+        this.log('error', message, fields);
+    }
+
+    log(level, message, fields={}) {
+        if (!this.target || !LOG_LEVELS.includes(level)) {
+            return;
+        }
+        let record = { ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) {
+                record[key] = value;
+            }
+        }
+        if (typeof(this.target) == 'function') {
+            this.target(level, message, record);
+        } else if (typeof(this.target[level]) == 'function') {
+            if (this.style == LOG_STYLE_FIELDS_FIRST) {
+                this.target[level](record, message);
+            } else {
+                this.target[level](message, record);
+            }
+        }
+    }
+}
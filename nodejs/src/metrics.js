@@ -0,0 +1,186 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+import { DEFAULT_LATENCY_BUCKETS } from "./constants.js";
+
+//
+// A registry of metrics: counters, gauges and histograms, each a family of series told apart by their labels.
+// Counters and histograms are updated as things happen.  Gauges are set by collectors, functions that run each
+// time the metrics are read, so that they show the state at that moment.
+//
+export class Metrics {
+    constructor() {
+        this.families   = new Map(); // name => MetricFamily
+        this.collectors = new Set();
+    }
+
+    counter(name, help) {
+        return this._family(name, 'counter', help);
+    }
+
+    gauge(name, help) {
+        return this._family(name, 'gauge', help);
+    }
+
+    histogram(name, help, buckets=DEFAULT_LATENCY_BUCKETS) {
+        return this._family(name, 'histogram', help, buckets);
+    }
+
+    //
+    // Add a function that sets gauges to their current values.  It is called each time the metrics are read.
+    //
+    collect(collector) {
+        this.collectors.add(collector);
+        return this;
+    }
+
+    //
+    // Remove a collector once the thing it reports on is gone.  The gauges it set are gone from the next reading.
+    //
+    uncollect(collector) {
+        this.collectors.delete(collector);
+        return this;
+    }
+
+    //
+    // Return the current value of a series: a number for counters and gauges, {count, sum, buckets} for
+    // histograms, or undefined if there is no such series.
+    //
+    value(name, labels={}) {
+        this._collect();
+        const family = this.families.get(name);
+        return family ? family.value(labels) : undefined;
+    }
+
+    //
+    // Return all of the metrics in the Prometheus text exposition format.
+    //
+    prometheus() {
+        this._collect();
+        let lines = [];
+        for (const family of this.families.values()) {
+            family.prometheus(lines);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    _family(name, type, help, buckets=undefined) {
+        let family = this.families.get(name);
+        if (!family) {
+            family = new MetricFamily(name, type, help, buckets);
+            this.families.set(name, family);
+        } else if (family.type != type) {
+            throw new Error(`Metric ${name} is already registered as a ${family.type}`);
+        }
+        return family;
+    }
+
+    _collect() {
+        for (const family of this.families.values()) {
+            if (family.type == 'gauge') {
+                family.series.clear();
+            }
+        }
+        for (const collector of this.collectors) {
+            collector(this);
+        }
+    }
+}
+
+export class MetricFamily {
+    constructor(name, type, help, buckets) {
+        this.name    = name;
+        this.type    = type;
+        this.help    = help;
+        this.buckets = buckets;   // Upper bounds of the histogram buckets, in increasing order
+        this.series  = new Map(); // Label key => {labels, value} or {labels, counts, count, sum} for histograms
+    }
+
+    inc(labels={}, amount=1) {
+        this._series(labels).value += amount;
+    }
+
+    set(labels, value) {
+        this._series(labels).value = value;
+    }
+
+    observe(labels, value) {
+        const series = this._series(labels);
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                series.counts[i] += 1;
+            }
+        }
+        series.count += 1;
+        series.sum   += value;
+    }
+
+    value(labels) {
+        const series = this.series.get(label_key(labels));
+        if (!series) {
+            return undefined;
+        }
+        if (this.type == 'histogram') {
+            return { count: series.count, sum: series.sum, buckets: series.counts.slice() };
+        }
+        return series.value;
+    }
+
+    prometheus(lines) {
+        lines.push(`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${this.name} ${this.type}`);
+        for (const series of this.series.values()) {
+            if (this.type == 'histogram') {
+                this.buckets.forEach((bound, i) => {
+                    lines.push(`${this.name}_bucket${format_labels({ ...series.labels, le: String(bound) })} ${series.counts[i]}`);
+                });
+                lines.push(`${this.name}_bucket${format_labels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${this.name}_sum${format_labels(series.labels)} ${series.sum}`);
+                lines.push(`${this.name}_count${format_labels(series.labels)} ${series.count}`);
+            } else {
+                lines.push(`${this.name}${format_labels(series.labels)} ${series.value}`);
+            }
+        }
+    }
+
+    _series(labels) {
+        const key = label_key(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = this.type == 'histogram' ? { labels: labels, counts: this.buckets.map(() => 0), count: 0, sum: 0 }
+                                              : { labels: labels, value: 0 };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+}
+
+function label_key(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map((name) => [name, String(labels[name])]));
+}
+
+function format_labels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => {
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${escaped}"`;
+    });
+    return pairs.length == 0 ? '' : `{${pairs.join(',')}}`;
+}
@@ -0,0 +1,86 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+import { ANY_CALLER } from "./constants.js";
+import { ApiError } from "./errors.js";
+
+//
+// Decides which callers may do what on a server endpoint (see ServerEndpoint.authorize).  A request is checked
+// against the rules in order and the first rule that matches it decides.  A request that no rule matches is
+// denied.  A rule has:
+//   route          => The route as registered ('/variables/:name'), or a list of them.  Default is every route.
+//   op             => The operation (GET, PUT, POST, DELETE, WATCH, ACQUIRE), or a list of them.  Default is every
+//                     operation.  Lock renewals are checked as ACQUIRE.
+//   mutex_name     => The name of the mutex, or a list of them, for the rule to match an ACQUIRE
+//   semaphore_name => The name of the semaphore, or a list of them, for the rule to match an ACQUIRE
+//   allow          => The identities allowed: a list of them, '*' for any authenticated caller, or a policy
+//                     function.  The function is called with the request, including those of callers without an
+//                     identity, and returns (or resolves to) true to allow it.  It may throw an ApiError to answer
+//                     with a status of its own.
+//
+export class Policy {
+    constructor() {
+        this.rules = [];
+    }
+
+    add(rules) {
+        for (const rule of rules) {
+            if (rule.allow === undefined) {
+                throw new Error('An authorization rule needs an allow list or function');
+            }
+            this.rules.push(rule);
+        }
+    }
+
+    //
+    // Return the ApiError to deny the request with: 401 for callers without an identity and 403 for callers that
+    // are not allowed.  Returns undefined if the request is allowed.
+    //
+    async check(req, route) {
+        const ap   = req.message.application_properties || {};
+        const op   = req.op == 'RENEW' ? 'ACQUIRE' : req.op;
+        const rule = this.rules.find((rule) => matches(route, rule.route) && matches(op, rule.op, true) &&
+                                               matches(ap.mutex_name, rule.mutex_name) &&
+                                               matches(ap.semaphore_name, rule.semaphore_name));
+        let allowed = false;
+        if (rule && typeof(rule.allow) == 'function') {
+            allowed = (await rule.allow(req)) === true;
+        } else if (rule && req.user_id !== undefined) {
+            allowed = rule.allow == ANY_CALLER || [].concat(rule.allow).includes(req.user_id);
+        }
+        if (allowed) {
+            return undefined;
+        }
+        return req.user_id === undefined ? new ApiError(401, 'The caller is not authenticated')
+                                         : new ApiError(403, `${req.user_id} is not allowed to ${op} ${req.path}`);
+    }
+}
+
+//
+// A rule matches a value if it doesn't name any, or names it alone or in a list.
+//
+function matches(value, wanted, ignore_case=false) {
+    if (wanted === undefined) {
+        return true;
+    }
+    const list = [].concat(wanted).map((item) => ignore_case ? String(item).toUpperCase() : item);
+    return list.includes(value);
+}
@@ -0,0 +1,164 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// A resource on a server endpoint, with a method for each operation.  The args of the operations are those of
+// ClientEndpoint.fetch, watch and critical_section.
+//
+// A resource built from a server's published description (see ApiProxy) knows which operations and locks the
+// server offers and checks request bodies and queries against the server's schemas, so mistakes fail before anything
+// is sent.
+// A resource built without one sends whatever it is asked to.
+//
+export class Resource {
+    constructor(endpoint, template, params={}, description=undefined) {
+        this.endpoint    = endpoint;
+        this.template    = template;    // The path as registered on the server, e.g. '/items/:id'
+        this.path        = fill_path(template, params);
+        this.description = description; // The description of the route, if known
+    }
+
+    async get(args={}) {
+        return this._fetch('GET', undefined, args);
+    }
+
+    async put(body, args={}) {
+        return this._fetch('PUT', body, args);
+    }
+
+    async post(body, args={}) {
+        return this._fetch('POST', body, args);
+    }
+
+    async delete(args={}) {
+        return this._fetch('DELETE', undefined, args);
+    }
+
+    watch(args={}) {
+        this._check_op('WATCH');
+        return this.endpoint.watch(this.path, args);
+    }
+
+    //
+    // A named mutex in the mutex-set at this resource.  Its run(inner, args) calls critical_section, with the
+    // on_cancel handler taken from args.on_cancel.
+    //
+    mutex(name) {
+        this._check_lock('mutex');
+        return {
+            run : (inner, args={}) => {
+                return this.endpoint.critical_section(this.path, name, inner, args.on_cancel || ignore, args);
+            },
+        };
+    }
+
+    //
+    // A named semaphore in the semaphore-set at this resource.  Its run(inner, args) calls with_permits, with
+    // the on_cancel handler taken from args.on_cancel.
+    //
+    semaphore(name, permits=1) {
+        this._check_lock('semaphore');
+        return {
+            run : (inner, args={}) => {
+                return this.endpoint.with_permits(this.path, name, permits, inner, args.on_cancel || ignore, args);
+            },
+        };
+    }
+
+    _fetch(op, body, args) {
+        this._check_op(op);
+        let config = { ...args, op: op };
+        if (body !== undefined) {
+            config.body = body;
+        }
+        if (this.description && config.schema === undefined) {
+            const schemas = this.description.operations[op.toLowerCase()] || {};
+            config.schema = { body: schemas.body, query: schemas.query };
+        }
+        return this.endpoint.fetch(this.path, config);
+    }
+
+    _check_op(op) {
+        if (this.description && !this.description.operations[op.toLowerCase()]) {
+            throw new Error(`Operation ${op} is not offered at ${this.template}`);
+        }
+    }
+
+    _check_lock(type) {
+        if (this.description && !(this.description.locks || {})[type]) {
+            throw new Error(`There is no ${type} set at ${this.template}`);
+        }
+    }
+}
+
+//
+// The routes of a server endpoint, from the description it publishes (see ServerEndpoint.publish_description).
+//
+export class ApiProxy {
+    constructor(endpoint, description) {
+        this.endpoint    = endpoint;
+        this.description = description;
+    }
+
+    //
+    // Return the resource for a route in the description.  The path is the route as registered on the server,
+    // with the values of its parameters given separately: resource('/items/:id', {id: 7}).
+    //
+    resource(template, params={}) {
+        const paths       = this.description.paths;
+        const description = Object.hasOwn(paths, template) ? paths[template] : undefined;
+        if (!description) {
+            throw new Error(`There is no route ${template} in the description of ${this.description.address}`);
+        }
+        return new Resource(this.endpoint, template, params, description);
+    }
+
+    //
+    // The paths of the routes in the description.
+    //
+    paths() {
+        return Object.keys(this.description.paths);
+    }
+}
+
+function ignore() {
+}
+
+//
+// Substitute the values of the parameters into a path.  A trailing wildcard takes a list of path elements, or a
+// string of them separated by '/'.
+//
+function fill_path(template, params) {
+    return template.split('/').map((element) => {
+        if (element[0] != ':' && element[0] != '*') {
+            return element;
+        }
+        const name  = element[0] == ':' ? element.slice(1) : (element.slice(1) || '*');
+        const value = params[name];
+        if (value === undefined) {
+            throw new Error(`No value for the parameter ${element} in ${template}`);
+        }
+        if (element[0] == '*') {
+            return (Array.isArray(value) ? value : String(value).split('/')).map(encodeURIComponent).join('/');
+        }
+        return encodeURIComponent(value);
+    }).join('/');
+}
@@ -0,0 +1,186 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// Validation of values against a subset of JSON Schema.  The supported keywords are:
+//   type (including 'integer' and lists of types), enum, const,
+//   properties, required, additionalProperties,
+//   items, minItems, maxItems,
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+//   minLength, maxLength, pattern,
+//   anyOf, allOf
+// Unsupported keywords are ignored.
+//
+
+//
+// Thrown (or used to reject) when a value does not match its schema.  The violations are a list of
+// {location, path, message} where location is 'body', 'query' or 'response' and path is a JSON pointer.
+//
+export class ValidationError extends Error {
+    constructor(message, violations) {
+        super(message);
+        this.name       = 'ValidationError';
+        this.violations = violations;
+    }
+}
+
+//
+// Validate a value against a schema.  Returns a list of violations, empty if the value is valid.
+//
+export function validate(schema, value, location='body') {
+    let violations = [];
+    check(schema, value, '', location, violations);
+    return violations;
+}
+
+//
+// Query parameters arrive as strings.  Convert the ones the schema declares as numbers or booleans so that they
+// can be validated, and handled, as such.  Values that don't convert are left alone to be reported by validate.
+//
+export function coerce_query(schema, query) {
+    const properties = schema.properties || {};
+    for (const [key, value] of Object.entries(query)) {
+        const property = Object.hasOwn(properties, key) ? properties[key] : undefined;
+        if (property) {
+            query[key] = Array.isArray(value) ? value.map(v => coerce(property.items || {}, v)) : coerce(property, value);
+        }
+    }
+    return query;
+}
+
+function coerce(schema, value) {
+    const types = [].concat(schema.type || []);
+    if ((types.includes('number') || types.includes('integer')) && value.trim() != '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value == 'true' || value == 'false')) {
+        return value == 'true';
+    }
+    return value;
+}
+
+function type_of(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof(value);
+}
+
+function has_type(value, type) {
+    switch (type) {
+    case 'integer' : return Number.isInteger(value);
+    case 'number'  : return typeof(value) == 'number' && !isNaN(value);
+    default        : return type_of(value) == type;
+    }
+}
+
+function check(schema, value, path, location, violations) {
+    const violation = (message) => violations.push({location: location, path: path || '/', message: message});
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => has_type(value, type))) {
+            violation(`must be of type ${types.join(' or ')}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => equal(allowed, value))) {
+        violation(`must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && !equal(schema.const, value)) {
+        violation(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof(value) == 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            violation(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            violation(`must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            violation(`must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            violation(`must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (typeof(value) == 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            violation(`must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            violation(`must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            violation(`must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            violation(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            violation(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${path}/${index}`, location, violations));
+        }
+    }
+
+    if (type_of(value) == 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!Object.hasOwn(value, key) || value[key] === undefined) {
+                violation(`must have property ${key}`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const item_path = `${path}/${key}`;
+            if (Object.hasOwn(properties, key)) {
+                check(properties[key], item, item_path, location, violations);
+            } else if (schema.additionalProperties === false) {
+                violations.push({location: location, path: item_path, message: 'is not an allowed property'});
+            } else if (typeof(schema.additionalProperties) == 'object') {
+                check(schema.additionalProperties, item, item_path, location, violations);
+            }
+        }
+    }
+
+    if (schema.allOf) {
+        for (const sub of schema.allOf) {
+            check(sub, value, path, location, violations);
+        }
+    }
+    if (schema.anyOf && !schema.anyOf.some(sub => validate(sub, value, location).length == 0)) {
+        violation('must match at least one of the allowed schemas');
+    }
+}
+
+function equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -19,20 +19,38 @@
 
 "use strict";
 
-import { LINK_CLASS_FETCH, LINK_CLASS_MUTEX } from "./constants.js";
+import { DEFAULT_TIMEOUT_MSEC, DEFAULT_REPLAY_CACHE_SIZE, DEFAULT_REQUEST_CREDIT, DESCRIPTION_PATH, METRICS_PATH, CONTENT_TYPE_PROMETHEUS, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT, STREAM_CHUNK, STREAM_END, LINK_CLASS_FETCH, LINK_CLASS_MUTEX, LINK_CLASS_WATCH, LOCK_MODE_EXCLUSIVE, LOCK_MODE_SHARED, LOCK_TYPE_SEMAPHORE } from "./constants.js";
+import { validate, coerce_query } from "./schema.js";
+import { CodecError } from "./codec.js";
+import { ApiError, status_description } from "./errors.js";
+import { parse_traceparent } from "./trace.js";
+import { Policy } from "./policy.js";
+import { RateLimiter } from "./limits.js";
 
 export class ServerEndpoint {
     constructor(connection, address) {
         this.connection = connection;
         this.address    = address;
+        this.logger     = connection.logger.child({endpoint: address});
         this.path_tree  = new Path();
+        this.nodes      = [];
+        this.middleware = [];
+        this.policy     = undefined; // Who may do what, once authorize() has been called
+        this.max_concurrency = undefined; // Requests whose handlers may run at once (see limit())
+        this.rate_limiter    = undefined; // Rate limit for each caller (see limit())
+        this.active          = 0;         // Requests taken from the fetch link that are not yet finished
+        this.handler_timeout   = DEFAULT_TIMEOUT_MSEC;      // Time a handler has to respond to a request without a deadline
+        this.replay_cache      = new Map();                 // (caller, idempotency key) => {response, duplicates}
+        this.replay_cache_size = DEFAULT_REPLAY_CACHE_SIZE; // Number of responses to remember for duplicate requests
         this.sessions     = {
             [LINK_CLASS_FETCH] : this.connection.amqpConnection.create_session(),
             [LINK_CLASS_MUTEX] : this.connection.amqpConnection.create_session(),
+            [LINK_CLASS_WATCH] : this.connection.amqpConnection.create_session(),
         }
         this.receivers  = {
             [LINK_CLASS_FETCH] : this.sessions[LINK_CLASS_FETCH].open_receiver({
                 source: `${address}/${LINK_CLASS_FETCH}`,
+                credit_window: 0,   // Credit is issued explicitly, to limit the requests being handled at once
                 autoaccept: false,  // We will explicitly handle delivery disposition
                 autosettle: false,  // We will explicitly handle delivery settlement
                 rcv_settle_mode: 1, // Don't automatically settle when terminal disposition is set on a delivery
@@ -43,6 +61,12 @@ export class ServerEndpoint {
                 autosettle: false,  // We will explicitly handle delivery settlement
                 rcv_settle_mode: 1, // Don't automatically settle when terminal disposition is set on a delivery
             }),
+            [LINK_CLASS_WATCH] : this.sessions[LINK_CLASS_WATCH].open_receiver({
+                source: `${address}/${LINK_CLASS_WATCH}`,
+                autoaccept: false,  // We will explicitly handle delivery disposition
+                autosettle: false,  // We will explicitly handle delivery settlement
+                rcv_settle_mode: 1, // Don't automatically settle when terminal disposition is set on a delivery
+            }),
         }
         for (let receiver of Object.values(this.receivers)) {
             receiver.__endpoint = this;
@@ -51,65 +75,647 @@ export class ServerEndpoint {
         for (const session of Object.values(this.sessions)) {
             session.begin();
         }
+
+        const metrics = this.connection.metrics;
+        this.requests  = metrics.counter('amqp_api_server_requests_total', 'Requests by endpoint, route, op and status');
+        this.latency   = metrics.histogram('amqp_api_server_request_duration_seconds', 'Request handling times');
+        this.lock_wait = metrics.histogram('amqp_api_lock_wait_seconds', 'Time spent waiting for locks');
+        this.lock_hold = metrics.histogram('amqp_api_lock_hold_seconds', 'Time locks are held');
+        const holders  = metrics.gauge('amqp_api_lock_holders', 'Current holders of each lock');
+        const waiters  = metrics.gauge('amqp_api_lock_waiters', 'Requests queued for each lock');
+        const active   = metrics.gauge('amqp_api_server_active_requests', 'Requests being handled by each endpoint');
+        this.collector = () => {
+            active.set({ endpoint: this.address }, this.active);
+            for (const node of this.nodes) {
+                for (const lock of [node._mutex, node._semaphore]) {
+                    for (const instance of Object.values(lock ? lock.instances : {})) {
+                        holders.set(instance.labels, instance.holders.length);
+                        waiters.set(instance.labels, instance.queue.length);
+                    }
+                }
+            }
+        };
+        metrics.collect(this.collector);
+    }
+
+    //
+    // Stop serving requests at this endpoint.  Its links are detached, open watches and streamed responses are
+    // ended and held locks are dropped.  The endpoint's gauges are no longer reported, and the address may be
+    // served again.
+    //
+    close() {
+        for (const session of Object.values(this.sessions)) {
+            this.connection._end_session(session);
+        }
+        this._release();
+    }
+
+    //
+    // Let go of everything but the links, which go with the connection when it is the connection that closes.
+    //
+    _release() {
+        this.connection.metrics.uncollect(this.collector);
+        this._on_disconnected();
+        delete this.connection.server_endpoints[this.address];
+    }
+
+    //
+    // Add middleware that runs ahead of the handlers of every route on this endpoint.  Middleware functions
+    // have the form (req, res, next), or (err, req, res, next) for error-handling middleware, which runs after
+    // the handlers so that it sees their errors.
+    //
+    use(...handlers) {
+        this.middleware.push(...handlers);
+        return this;
+    }
+
+    //
+    // Check every request to a route against authorization rules (see Policy for the form of the rules).  Once
+    // this is called, requests that no rule allows are answered with 401 if the caller has no identity and 403
+    // otherwise.  Further calls add rules after the ones already given.
+    //
+    // The identity of the caller (req.user_id) is the user-id of the request, which a client stamps with the
+    // username it connected with.  The server only sees the request as the router delivers it, so the user-id can
+    // only be trusted if the router is configured to check it against the identity the sender authenticated with.
+    // Without that check, any caller can claim any identity.
+    //
+    authorize(rules) {
+        if (!this.policy) {
+            this.policy = new Policy();
+        }
+        this.policy.add(rules);
+        return this;
+    }
+
+    //
+    // Limit the load that requests put on this endpoint.  Options:
+    //   concurrency => The number of requests whose handlers may run at once.  The endpoint gives the network
+    //                  credit for no more requests than that, so that further requests wait in the network.  Watches
+    //                  and lock requests (acquisitions and lease renewals) come in on links of their own and are not
+    //                  counted.  A limit set once the endpoint is attached takes effect when the credit already
+    //                  given has been used.
+    //   rate        => The requests per second each caller may make.  Callers that go over are answered with 429
+    //                  and a retry_after application property that says how many mSec to wait before trying again.
+    //   burst       => The requests a caller may make at once after a quiet spell (default is the rate)
+    //   timeout     => The time in mSec the handlers have to respond to a request that carries no deadline before
+    //                  the request fails with 504 (default is 10 seconds).  A request with a deadline fails with 504
+    //                  when its deadline passes.
+    // Routes may have limits of their own as well (see Node.limit).
+    //
+    limit(options) {
+        if (options.concurrency !== undefined) {
+            this.max_concurrency = options.concurrency;
+            this._replenish_credit();
+        }
+        if (options.timeout !== undefined) {
+            this.handler_timeout = options.timeout;
+        }
+        if (options.rate !== undefined) {
+            this.rate_limiter = new RateLimiter(options.rate, options.burst);
+        }
+        return this;
     }
 
+    //
+    // Register a resource at a path.  Path elements may be literal names, named parameters (':name'), or a
+    // trailing wildcard ('*' or '*name') that matches all remaining elements.  Matched parameters are available,
+    // percent-decoded, to the handlers in req.params.  Literal elements take priority over parameters, which take
+    // priority over wildcards.  A query string following the path of a request is available to the handlers in
+    // req.query.
+    //
     route(path) {
         let n = new Node(this, path);
         const elements = path.split('/');
-        this.path_tree.insert(n, elements);
+        this.path_tree.insert(n, elements, path);
+        this.nodes.push(n);
         return n;
     }
 
-    _find_path(tree, elements) {
-        if (elements.length == 0) {
-            return tree;
+    //
+    // Publish a description of this endpoint (see description()) on a built-in GET route, so that clients can
+    // discover the API with ClientEndpoint.describe().  The route is not there unless this is called.  Options:
+    //   path        => The path of the route (default '/_description')
+    //   title       => Title of the API, included with the version and description in the 'info' of the document
+    //   version     => Version of the API
+    //   description => Description of the API
+    //
+    publish_description(options={}) {
+        let info = {};
+        for (const key of ['title', 'version', 'description']) {
+            if (options[key] !== undefined) {
+                info[key] = options[key];
+            }
+        }
+        this.route(options.path || DESCRIPTION_PATH)
+        .get((req, res) => {
+            res.status(200).send(this.description(info));
+        })
+        .describe('Description of the routes of this endpoint');
+        return this;
+    }
+
+    //
+    // Serve the metrics of the connection (see APIConnection.metrics) in the Prometheus text format on a built-in
+    // GET route.  The route is not there unless this is called.  Options:
+    //   path => The path of the route (default '/_metrics')
+    //
+    publish_metrics(options={}) {
+        this.route(options.path || METRICS_PATH)
+        .get((req, res) => {
+            res.status(200).type(CONTENT_TYPE_PROMETHEUS).send(this.connection.metrics.prometheus());
+        })
+        .describe('Metrics in the Prometheus text format');
+        return this;
+    }
+
+    //
+    // Return a document that describes the routes of this endpoint, in the order they were registered:
+    //   { address, info, paths: { path => { description, parameters, operations, locks } } }
+    // The parameters are those in the path.  The operations map each op to its description and schemas (see
+    // Node.schema).  Locks lists the mutex and semaphore sets attached to the resource.
+    //
+    description(info={}) {
+        let paths = {};
+        for (const node of this.nodes) {
+            paths[node.path] = node._description();
+        }
+        return { address: this.address, info: info, paths: paths };
+    }
+
+    _on_receiver_open(receiver) {
+        if (receiver == this.receivers[LINK_CLASS_FETCH]) {
+            this._replenish_credit();
+        }
+    }
+
+    //
+    // Give the fetch receiver credit for the requests that may be taken on.  Without a concurrency limit, credit
+    // is topped up in batches to keep the number of flow frames down.
+    //
+    _replenish_credit() {
+        const receiver = this.receivers[LINK_CLASS_FETCH];
+        const limited  = this.max_concurrency !== undefined;
+        const window   = limited ? this.max_concurrency : DEFAULT_REQUEST_CREDIT;
+        const missing  = window - this.active - receiver.credit;
+        if (receiver.is_open() && missing > 0 && (limited || missing >= window / 4 || receiver.credit == 0)) {
+            receiver.add_credit(missing);
         }
+    }
 
-        const first = elements.shift();
-        if (first == '') {
+    //
+    // The AMQP connection has been lost, and with it every unsettled request delivery.  The requesters will see
+    // their requests dropped, so forget about all lock holders, lock waiters, and watches.
+    //
+    _on_disconnected() {
+        for (const node of this.nodes) {
+            node._on_disconnected();
+        }
+    }
+
+    //
+    // Find the path in the tree that holds a node for the given elements, filling in the params object with the
+    // values of any named parameters and wildcards that were matched.
+    //
+    _find_path(tree, elements, params, index=0) {
+        if (index == elements.length) {
+            return tree.get_node() ? tree : undefined;
+        }
+
+        const element = elements[index];
+        if (element == '') {
             // Ignore blank elements
-            return this._find_path(tree, elements);
+            return this._find_path(tree, elements, params, index + 1);
+        }
+
+        const child = tree.get_child(element);
+        if (child) {
+            const found = this._find_path(child, elements, params, index + 1);
+            if (found) {
+                return found;
+            }
         }
 
-        const child = tree.get_child(first);
-        return child ? this._find_path(child, elements) : child;
+        if (tree.param) {
+            const found = this._find_path(tree.param.path, elements, params, index + 1);
+            if (found) {
+                params[tree.param.name] = decode_element(element);
+                return found;
+            }
+        }
+
+        if (tree.wildcard) {
+            params[tree.wildcard.name] = elements.slice(index).filter((e) => e != '').map(decode_element).join('/');
+            return tree.wildcard.path;
+        }
+
+        return undefined;
     }
 
+    //
+    // Handle a request.  Requests on the fetch link count as active until they are finished, which for a streamed
+    // response is once the stream has ended.
+    //
     async _dispatch(context) {
-        const pathtext = context.message.application_properties.path;
-        if (pathtext) {
-            const elements = pathtext.split('/');
-            const path     = this._find_path(this.path_tree, elements);
+        if (context.receiver != this.receivers[LINK_CLASS_FETCH]) {
+            await this._handle(context);
+            return;
+        }
+        this.active += 1;
+        try {
+            await this._handle(context);
+        } finally {
+            this.active -= 1;
+            this._replenish_credit();
+        }
+    }
+
+    async _handle(context) {
+        let req;
+        try {
+            req = new Request(context.message, this.connection.codecs);
+        } catch (err) {
+            if (!(err instanceof CodecError)) {
+                throw err;
+            }
+            this.logger.info('Request body could not be decoded', {
+                correlation_id: context.message.correlation_id, status: err.unsupported ? 415 : 400, err: err,
+            });
+            reject_request(this.connection, context, new ApiError(err.unsupported ? 415 : 400, err.message));
+            return;
+        }
+
+        //
+        // A request that expired on its way here has been given up on.  Drop it without an answer, nobody is
+        // waiting for one.
+        //
+        if (req.remaining() === 0) {
+            context.delivery.accept();
+            context.delivery.settled = true;
+            return;
+        }
+
+        if (req.path) {
+            const elements = req.path.split('/');
+            const path     = this._find_path(this.path_tree, elements, req.params);
             const node     = path ? path.get_node() : undefined;
 
             if (node) {
-                await node._dispatch(context);
+                if (this.policy) {
+                    let denial;
+                    try {
+                        denial = await this.policy.check(req, node.path);
+                    } catch (err) {
+                        denial = api_error(err);
+                    }
+                    if (denial) {
+                        this.logger.info('Request not authorized', {
+                            ...request_fields(req), route: node.path, user_id: req.user_id, status: denial.status,
+                        });
+                        reject_request(this.connection, context, denial);
+                        this._record(req, node.path, denial.status);
+                        return;
+                    }
+                }
+                const retry_after = this._rate_limit(node, req);
+                if (retry_after > 0) {
+                    this.logger.info('Request over the rate limit', {
+                        ...request_fields(req), route: node.path, user_id: req.user_id, status: 429,
+                        retry_after: retry_after,
+                    });
+                    const error = new ApiError(429, 'Too many requests', { retry_after: retry_after });
+                    reject_request(this.connection, context, error, { retry_after: retry_after });
+                    this._record(req, node.path, 429);
+                    return;
+                }
+                await node._dispatch(context, req);
                 return;
             }
         }
 
-        const error_response = {
-            to             : context.message.reply_to,
-            correlation_id : context.message.correlation_id,
-            application_properties : {
-                status             : 404,
-                status_description : 'Not Found',
-            },
-            body : "No resource found at path",
-        };
+        this.logger.info('No resource found at path', {...request_fields(req), status: 404});
+        reject_request(this.connection, context, new ApiError(404, 'No resource found at path'));
+        this._record(req, '', 404);
+    }
 
-        this.connection.anonSender.send(error_response);
+    //
+    // Take a token from the rate limits of the route and the endpoint for the request.  Returns 0 if the request
+    // is within them, or else the time in mSec until it would be.  A request that either limit turns away takes no
+    // token from the other.  Lock renewals are not limited, so that a holder doesn't lose its lease.
+    //
+    _rate_limit(node, req) {
+        if (req.op == 'RENEW') {
+            return 0;
+        }
+        const route_wait = node.rate_limiter ? node.rate_limiter.take(req.user_id) : 0;
+        if (route_wait > 0 || !this.rate_limiter) {
+            return route_wait;
+        }
+        const endpoint_wait = this.rate_limiter.take(req.user_id);
+        if (endpoint_wait > 0 && node.rate_limiter) {
+            node.rate_limiter.give_back(req.user_id);
+        }
+        return endpoint_wait;
+    }
 
+    //
+    // Count a finished request and how long it took.  Route is the path of the route that took it.
+    //
+    _record(req, route, status) {
+        const labels   = { endpoint: this.address, route: route, op: req.op || '', status: String(status) };
+        const duration = Date.now() - req.received;
+        this.requests.inc(labels);
+        this.latency.observe(labels, duration / 1000);
+        this.logger.debug('Request handled', {...request_fields(req), route: route, status: status, duration: duration});
+    }
+
+    //
+    // Look for an earlier request from the same caller with the same idempotency key.  If there is one, answer
+    // this request with the original response (as soon as there is one) and return true.
+    //
+    _replay(context, req) {
+        const key   = JSON.stringify([req.user_id, req.idempotency_key]);
+        const entry = this.replay_cache.get(key);
+        if (!entry) {
+            this.replay_cache.set(key, {response: undefined, duplicates: []});
+            this._trim_replay_cache();
+            return false;
+        }
+        if (entry.response) {
+            this._send_replay(context, entry.response);
+        } else {
+            entry.duplicates.push(context);
+        }
+        return true;
+    }
+
+    //
+    // Remember the response of the handlers to a request with an idempotency key, and answer the duplicates that
+    // arrived while the request was being handled.  Error responses are remembered as well: the handlers ran, and a
+    // retry that ran them again could do the operation twice.  The exception is 503, by which the handlers say
+    // that they did not do the operation, so that a retry runs it again.
+    //
+    _remember(req, response) {
+        const key   = JSON.stringify([req.user_id, req.idempotency_key]);
+        const entry = this.replay_cache.get(key);
+        if (!entry || entry.response) {
+            return;
+        }
+        if (response.application_properties.status == 503) {
+            this._forget(req, 'The original request was not handled');
+            return;
+        }
+        entry.response = response;
+        for (const context of entry.duplicates) {
+            this._send_replay(context, response);
+        }
+        entry.duplicates = [];
+    }
+
+    //
+    // The handlers of a request with an idempotency key have finished, or streamed their response.  If they left
+    // no response to replay, whether the operation was done is unknown, so duplicates are answered with 409.
+    //
+    _finished(req, reason='The original request ended without a response') {
+        const key   = JSON.stringify([req.user_id, req.idempotency_key]);
+        const entry = this.replay_cache.get(key);
+        if (entry && !entry.response) {
+            this._remember(req, error_message(this.connection, req.message, new ApiError(409, reason)));
+        }
+    }
+
+    //
+    // The handlers of a request with an idempotency key never ran, or said they did nothing.  Duplicates that are
+    // waiting for its response are told to try again.
+    //
+    _forget(req, reason='The original request was cancelled') {
+        const key   = JSON.stringify([req.user_id, req.idempotency_key]);
+        const entry = this.replay_cache.get(key);
+        if (entry && !entry.response) {
+            this.replay_cache.delete(key);
+            for (const context of entry.duplicates) {
+                reject_request(this.connection, context, new ApiError(503, reason));
+            }
+        }
+    }
+
+    _send_replay(context, response) {
+        this.connection.anonSender.send({
+            ...response,
+            to             : context.message.reply_to,
+            correlation_id : context.message.correlation_id,
+        });
         context.delivery.accept();
         context.delivery.settled = true;
     }
+
+    //
+    // Forget the oldest responses once the cache is full.  Requests that are still being handled are kept.
+    //
+    _trim_replay_cache() {
+        for (const [key, entry] of this.replay_cache) {
+            if (this.replay_cache.size <= this.replay_cache_size) {
+                break;
+            }
+            if (entry.response) {
+                this.replay_cache.delete(key);
+            }
+        }
+    }
+}
+
+//
+// Path elements may be percent-encoded (as ClientEndpoint.resource does with parameter values).  An element that
+// isn't validly encoded is taken as it is.
+//
+function decode_element(element) {
+    try {
+        return decodeURIComponent(element);
+    } catch (err) {
+        return element;
+    }
+}
+
+//
+// Answer a request with an error response carrying the standard error body, and settle the request delivery.
+// Properties are further application properties of the response.
+//
+function reject_request(connection, context, error, properties={}) {
+    connection.anonSender.send(error_message(connection, context.message, error, properties));
+    context.delivery.accept();
+    context.delivery.settled = true;
+}
+
+//
+// Compose the error response to a request message.
+//
+function error_message(connection, request_message, error, properties={}) {
+    let response = {
+        to                     : request_message.reply_to,
+        correlation_id         : request_message.correlation_id,
+        application_properties : { ...properties, status: error.status, status_description: status_description(error.status) },
+    };
+    const accept = (request_message.application_properties || {}).accept;
+    connection.codecs.encode(response, error.body(), connection.codecs.negotiate(undefined, accept, connection.content_type));
+    return response;
+}
+
+//
+// The fields that identify a request in log records.
+//
+function request_fields(req) {
+    return { path: req.path, op: req.op, correlation_id: req.correlation_id };
+}
+
+//
+// Convert whatever a handler threw into an ApiError.  Anything other than an ApiError is an internal error.
+//
+function api_error(err) {
+    if (err instanceof ApiError) {
+        return err;
+    }
+    return new ApiError(500, err instanceof Error ? err.message : String(err));
+}
+
+//
+// A request as seen by the handlers of a resource.  The raw AMQP message remains available as req.message.
+//   op              => The operation, in upper case (GET, PUT, ...)
+//   path            => The path of the resource, without the query string
+//   query           => The query parameters.  A parameter that appears more than once has an array of values.
+//   params          => The values of the named parameters and wildcards matched in the path
+//   headers         => The application properties of the request other than the ones used by the protocol
+//   body            => The body of the request, decoded according to its content type
+//   user_id         => The identity of the caller, as authenticated by the network
+//   correlation_id  => The correlation-id of the request
+//   idempotency_key => The key that identifies retries of the same request, if the client supplied one
+//   deadline        => The time (mSec since the epoch) after which the caller no longer waits for a response.
+//                      Pass it on as the deadline of fetches made while handling the request.
+//   signal          => An AbortSignal that fires if the caller cancels the request (or ends the watch)
+//   received        => The time (mSec since the epoch) the request was received
+//   trace           => The caller's trace context {trace_id, span_id, flags, tracestate}, if it sent one
+//   span            => The server Span of the handlers.  Fetches made while handling the request are its children.
+//
+export class Request {
+    constructor(message, codecs) {
+        const ap    = message.application_properties || {};
+        const split = (ap.path || '').indexOf('?');
+
+        this.message         = message;
+        this.op              = ap.op ? ap.op.toUpperCase() : undefined;
+        this.path            = split < 0 ? ap.path : ap.path.substring(0, split);
+        this.query           = split < 0 ? {} : parse_query(ap.path.substring(split + 1));
+        this.params          = {};
+        this.headers         = {};
+        this.body            = codecs ? codecs.decode(message) : message.body;
+        this.user_id         = message.user_id === undefined ? undefined : message.user_id.toString();
+        this.correlation_id  = message.correlation_id;
+        this.idempotency_key = ap.idempotency_key;
+        this.deadline        = ap.deadline;
+        this.received        = Date.now();
+        this.trace           = parse_traceparent(ap.traceparent, ap.tracestate);
+        this.span            = undefined;
+        this._controller     = new AbortController();
+        this.signal          = this._controller.signal;
+
+        for (const [key, value] of Object.entries(ap)) {
+            if (!PROTOCOL_PROPERTIES.includes(key)) {
+                this.headers[key] = value;
+            }
+        }
+    }
+
+    //
+    // Return the time in mSec left before the deadline, or undefined if the request has no deadline.
+    //
+    remaining() {
+        return this.deadline === undefined ? undefined : Math.max(this.deadline - Date.now(), 0);
+    }
+
+    //
+    // Read the paging parameters of a request for a collection: the 'limit' and 'cursor' query parameters.
+    // Returns {limit, cursor} where cursor is the position passed to Response.send_page for the previous page, or
+    // undefined for the first page.  Bad parameters are answered with 400.  Options:
+    //   default_limit => The page size if the client doesn't give one (default 100)
+    //   max_limit     => The largest page size allowed (default 1000)
+    //
+    page(options={}) {
+        const max_limit = options.max_limit || MAX_PAGE_LIMIT;
+        let limit = options.default_limit || DEFAULT_PAGE_LIMIT;
+        if (this.query.limit !== undefined) {
+            limit = Number(this.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > max_limit) {
+                throw new ApiError(400, `The limit must be an integer from 1 to ${max_limit}`);
+            }
+        }
+        return { limit: Math.min(limit, max_limit), cursor: decode_cursor(this.query.cursor) };
+    }
+
+    _cancel() {
+        this._controller.abort();
+    }
+}
+
+//
+// Application properties that carry the request protocol rather than headers.
+//
+const PROTOCOL_PROPERTIES = ['op', 'path', 'deadline', 'idempotency_key', 'traceparent', 'tracestate'];
+
+//
+// Cursors are opaque to the client.  They carry any JSON value the handler chooses as the position of a page.
+//
+function encode_cursor(position) {
+    return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+function decode_cursor(cursor) {
+    if (cursor === undefined) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new ApiError(400, 'The cursor is not valid');
+    }
+}
+
+function parse_query(text) {
+    let query = {};
+    for (const [key, value] of new URLSearchParams(text)) {
+        if (query[key] === undefined) {
+            query[key] = value;
+        } else if (Array.isArray(query[key])) {
+            query[key].push(value);
+        } else {
+            query[key] = [query[key], value];
+        }
+    }
+    return query;
 }
 
+//
+// The response to a request.  The body is encoded in the content type set with type(), or else the first type in
+// the request's accept list that has a codec, or else the default content type of the connection.
+//
 export class Response {
-    constructor(request_message, sender) {
+    constructor(request_message, sender, codecs=undefined, content_type=undefined) {
         this.request_message = request_message;
         this.sender          = sender;
+        this.codecs          = codecs;
+        this.default_type    = content_type;
+        this.content_type    = undefined;
         this.sent            = false;
+        this.abandoned       = false; // The requester no longer waits for this response
+        this.timed_out       = false; // True once the watchdog has answered with 504 for the handlers
+        this.streaming       = false; // True once the handler has written the first chunk
+        this.watchdog        = undefined;
+        this.schema          = undefined; // Schema for the body of a successful response
+        this.on_sent         = undefined; // Called with the response message once it has been sent
+        this.on_unsent       = undefined; // Called with the response the handlers sent once nobody was waiting for it
+        this.on_stream       = undefined; // Called when the first chunk is written
+        this.on_end          = undefined; // Called when a streamed response has ended
+        this.on_timeout      = undefined; // Called when the watchdog answers with 504 for the handlers
+        this.on_response     = undefined; // Called once the response is sent, streamed or no longer awaited
+        this.sendable        = undefined; // Resolves when the sender can take another chunk
+        this.pending         = Promise.resolve(); // The chunks and end marker still to be sent, in order
         this.response_message = {
             to                     : request_message.reply_to,
             correlation_id         : request_message.correlation_id,
@@ -118,35 +724,319 @@ export class Response {
         }
     }
 
-    status(code) {
-        if (this.sent) {
-            throw new Error("Setting status on an already sent response");
+    status(code) {
+        if (this.sent) {
+            throw new Error("Setting status on an already sent response");
+        }
+        this.response_message.application_properties.status = code;
+        return this;
+    }
+
+    type(content_type) {
+        this.content_type = content_type;
+        return this;
+    }
+
+    end() {
+        if (this.streaming) {
+            this.pending = this.pending.then(() => this._end_stream());
+        } else {
+            this.send(undefined);
+        }
+    }
+
+    send(body) {
+        if (this.abandoned) {
+            //
+            // The requester has cancelled the request, or been told that the handler took too long.  The response
+            // is still of use to a retry of the request.
+            //
+            if (this.on_unsent && !this.streaming) {
+                const on_unsent = this.on_unsent;
+                this.on_unsent = undefined;
+                on_unsent(this._compose(this.response_message, body));
+            }
+            return;
+        }
+        if (this.sent) {
+            throw new Error("Sending on an already sent response");
+        }
+        if (this.streaming) {
+            throw new Error("Sending a body on a streamed response, use write() and end()");
+        }
+        clearTimeout(this.watchdog);
+        this.sender.send(this._compose(this.response_message, body));
+        this.sent = true;
+        if (this.on_sent) {
+            this.on_sent(this.response_message);
+        }
+        this._responded();
+    }
+
+    //
+    // Fill in the body of a response message, encoded.
+    //
+    _compose(message, body) {
+        message.body = body;
+
+        //
+        // A successful response that doesn't match its schema is a bug in the handler.  Don't pass it on.
+        //
+        const status = message.application_properties.status;
+        if (this.schema && (status === undefined || (status >= 200 && status < 300))) {
+            const violations = validate(this.schema, body, 'response');
+            if (violations.length > 0) {
+                const error = new ApiError(500, 'Response failed validation', violations);
+                message.application_properties = { status: 500, status_description: status_description(500) };
+                message.body = error.body();
+            }
+        }
+
+        if (this.codecs) {
+            const content_type = this.codecs.negotiate(this.content_type, this.request_message.application_properties.accept,
+                                                       this.default_type, message.body);
+            this.codecs.encode(message, message.body, content_type);
+        }
+        return message;
+    }
+
+    //
+    // Send one page of a collection as {items, next}.  Next is the position of the following page, handed back to
+    // the handler by Request.page when the client asks for it, or undefined if this is the last page.
+    //
+    send_page(items, next=undefined) {
+        let page = { items: items };
+        if (next !== undefined) {
+            page.next = encode_cursor(next);
+        }
+        this.send(page);
+    }
+
+    //
+    // Stream one chunk of the response.  The chunks go out with the status and content type of the response, and
+    // end() sends the end marker after the last one.  The returned promise resolves once the chunk is sent.  A
+    // handler that awaits it is held back while the requester is slow to read.
+    //
+    write(chunk) {
+        if (this.sent) {
+            throw new Error("Writing on an already sent response");
+        }
+        if (!this.streaming) {
+            this.streaming = true;
+            clearTimeout(this.watchdog);
+            if (this.on_stream) {
+                this.on_stream();
+            }
+            this._responded();
+        }
+        const written = this.pending.then(() => this._send_chunk(STREAM_CHUNK, chunk));
+        this.pending  = written.catch(() => {});
+        return written;
+    }
+
+    async _send_chunk(stream, body) {
+        if (this.sendable) {
+            await this.sendable();
+        }
+        if (this.abandoned) {
+            return;
+        }
+        let message = {
+            to                     : this.response_message.to,
+            correlation_id         : this.response_message.correlation_id,
+            application_properties : { ...this.response_message.application_properties, stream: stream },
+        };
+        if (this.codecs) {
+            const content_type = this.codecs.negotiate(this.content_type, this.request_message.application_properties.accept,
+                                                       this.default_type, body);
+            this.codecs.encode(message, body, content_type);
+        } else {
+            message.body = body;
+        }
+        this.sender.send(message);
+    }
+
+    async _end_stream() {
+        if (this.sent) {
+            return;
+        }
+        this.sent = true;
+        try {
+            await this._send_chunk(STREAM_END, this.response_message.body);
+        } finally {
+            if (this.on_end) {
+                this.on_end();
+            }
+        }
+    }
+
+    //
+    // Send an error response with the standard error body.  A streamed response is ended with the error instead.
+    //
+    _send_error(error) {
+        this.response_message.application_properties.status_description = status_description(error.status);
+        this.schema = undefined;
+        if (this.streaming) {
+            this.response_message.application_properties.status = error.status;
+            this.response_message.body = error.body();
+            this.end();
+        } else {
+            this.status(error.status).send(error.body());
+        }
+    }
+
+    //
+    // The requester no longer waits for the response.
+    //
+    _abandon() {
+        this.abandoned = true;
+        clearTimeout(this.watchdog);
+        this._responded();
+    }
+
+    _responded() {
+        if (this.on_response) {
+            const on_response = this.on_response;
+            this.on_response = undefined;
+            on_response();
+        }
+    }
+
+    //
+    // Answer with 504 if the handlers haven't sent a response by the time the delay runs out.
+    //
+    _start_watchdog(delay) {
+        clearTimeout(this.watchdog);
+        this.watchdog = setTimeout(() => {
+            if (!this.sent) {
+                //
+                // The 504 goes out apart from the response, which the handlers may still send for a retry.
+                //
+                const error = new ApiError(504, 'The request handler did not respond in time');
+                this.sender.send(this._compose({
+                    to                     : this.response_message.to,
+                    correlation_id         : this.response_message.correlation_id,
+                    application_properties : { status: 504, status_description: status_description(504) },
+                }, error.body()));
+                this.timed_out = true;
+                this.abandoned = true;
+                if (this.on_timeout) {
+                    this.on_timeout(delay);
+                }
+                this._responded();
+            }
+        }, delay);
+    }
+}
+
+//
+// The server side of a watch.  The handler sends updates on the stream for as long as the client is watching.
+// The request delivery stays unsettled for the life of the watch.  Settlement by the client (or by the network
+// when the client goes away) closes the stream.
+//
+export class WatchStream {
+    constructor(request_message, delivery, sender, codecs=undefined, content_type=undefined) {
+        this.request_message = request_message;
+        this.delivery        = delivery;
+        this.sender          = sender;
+        this.codecs          = codecs;
+        this.default_type    = content_type;
+        this.content_type    = undefined;
+        this.status_code     = 200;
+        this.closed          = false;
+        this.close_handlers  = [];
+
+        delivery.__on_update = (delivery, state) => {
+            if (delivery.remote_settled && !delivery.settled) {
+                // The watch has been cancelled by the client
+                delivery.update(true);
+                this._close();
+            }
+        };
+        delivery.accept();
+    }
+
+    status(code) {
+        this.status_code = code;
+        return this;
+    }
+
+    //
+    // Set the content type of the updates, as for Response.
+    //
+    type(content_type) {
+        this.content_type = content_type;
+        return this;
+    }
+
+    send(body) {
+        if (this.closed) {
+            throw new Error("Sending on a closed watch stream");
+        }
+        let update = {
+            to                     : this.request_message.reply_to,
+            correlation_id         : this.request_message.correlation_id,
+            application_properties : { status : this.status_code },
+        };
+        if (this.codecs) {
+            const content_type = this.codecs.negotiate(this.content_type, this.request_message.application_properties.accept,
+                                                       this.default_type, body);
+            this.codecs.encode(update, body, content_type);
+        } else {
+            update.body = body;
+        }
+        this.sender.send(update);
+    }
+
+    //
+    // Send an error update with the standard error body and end the watch.
+    //
+    _fail(error) {
+        if (!this.closed) {
+            this.status(error.status).send(error.body());
+            this.end();
+        }
+    }
+
+    //
+    // End the watch from the server side.
+    //
+    end() {
+        if (!this.closed) {
+            this.delivery.update(true);
+            this._close();
         }
-        this.response_message.application_properties.status = code;
-        return this;
     }
 
-    end() {
-        this.send(undefined);
+    //
+    // Register a handler to be called when the watch ends, for whatever reason.
+    //
+    on_close(handler) {
+        if (this.closed) {
+            handler();
+        } else {
+            this.close_handlers.push(handler);
+        }
     }
 
-    send(body) {
-        if (this.sent) {
-            throw new Error("Sending on an already sent response");
+    _close() {
+        this.closed = true;
+        for (const handler of this.close_handlers) {
+            handler();
         }
-        this.response_message.body = body;
-        this.sender.send(this.response_message);
-        this.sent = true;
+        this.close_handlers = [];
     }
 }
 
 class Path {
     constructor() {
         this.node     = undefined;
-        this.children = {};
+        this.children = new Map(); // Path element => Path
+        this.param    = undefined; // {name, path} for a ':name' element
+        this.wildcard = undefined; // {name, path} for a trailing '*' element
     }
 
-    insert(node, elements) {
+    insert(node, elements, text) {
         if (elements.length == 0) {
             // End of the line, insert here
             this.node = node;
@@ -154,18 +1044,37 @@ class Path {
             let element = elements.shift();
             if (element == '') {
                 // Ignore blank elements
-                this.insert(node, elements);
+                this.insert(node, elements, text);
+            } else if (element[0] == ':') {
+                const name = element.slice(1);
+                if (!this.param) {
+                    this.param = { name : name, path : new Path() };
+                } else if (this.param.name != name) {
+                    throw new Error(`Parameter :${name} in ${text} conflicts with existing parameter :${this.param.name}`);
+                }
+                this.param.path.insert(node, elements, text);
+            } else if (element[0] == '*') {
+                if (elements.some((e) => e != '')) {
+                    throw new Error(`Wildcard must be the last element of the path ${text}`);
+                }
+                const name = element.slice(1) || '*';
+                if (!this.wildcard) {
+                    this.wildcard = { name : name, path : new Path() };
+                } else if (this.wildcard.name != name) {
+                    throw new Error(`Wildcard ${element} in ${text} conflicts with an existing wildcard`);
+                }
+                this.wildcard.path.node = node;
             } else {
-                if (!this.children[element]) {
-                    this.children[element] = new Path();
+                if (!this.children.has(element)) {
+                    this.children.set(element, new Path());
                 }
-                this.children[element].insert(node, elements);
+                this.children.get(element).insert(node, elements, text);
             }
         }
     }
 
     get_child(name) {
-        return this.children[name];
+        return this.children.get(name);
     }
 
     get_node() {
@@ -185,69 +1094,470 @@ export class Node {
             delete : [],
             watch  : [],
         };
-        this._mutex = undefined;
+        this._mutex     = undefined;
+        this._semaphore = undefined;
+        this.schemas    = {};        // op => {body, query, response, description}
+        this.summary    = undefined; // Description of the resource, for the endpoint description
+        this.watches    = new Set(); // Open WatchStreams
+        this.streams    = new Set(); // Functions that abandon the streamed responses still being written
+        this.max_concurrency = undefined; // Requests whose handlers may run at once (see limit())
+        this.rate_limiter    = undefined; // Rate limit for each caller (see limit())
+        this.handler_timeout = undefined; // Time the handlers have to respond, if not the endpoint's (see limit())
+        this.active          = 0;         // Requests whose handlers are running or whose responses are streaming
+        this.waiting         = [];        // Resolve functions of the requests waiting for a free slot, in order
+    }
+
+    //
+    // Add middleware that runs ahead of the handlers for every operation on this resource.  Error-handling
+    // middleware runs after the handlers, ahead of the endpoint's error-handling middleware.
+    //
+    use(...handlers) {
+        this.root_handlers.push(...handlers);
+        return this;
+    }
+
+    get(...handlers) {
+        this.handlers.get.push(...handlers);
+        return this;
+    }
+
+    put(...handlers) {
+        this.handlers.put.push(...handlers);
+        return this;
+    }
+
+    post(...handlers) {
+        this.handlers.post.push(...handlers);
+        return this;
     }
 
-    get(handler) {
-        this.handlers.get.push(handler);
+    delete(...handlers) {
+        this.handlers.delete.push(...handlers);
+        return this;
+    }
+
+    //
+    // Register a handler for watches on this resource.  The handler is called with the request and a
+    // WatchStream on which it should send the current state followed by every subsequent change.
+    //
+    watch(...handlers) {
+        this.handlers.watch.push(...handlers);
         return this;
     }
 
-    put(handler) {
-        this.handlers.put.push(handler);
+    //
+    // Attach schemas to an operation on this resource:
+    //   body        => schema for the body of the request
+    //   query       => schema for the query parameters, as an object.  Parameters declared as numbers or booleans
+    //                  are converted from strings before validation.
+    //   response    => schema for the body of successful responses
+    //   description => description of the operation, for the endpoint description
+    // Requests that don't match are rejected with status 400 and a list of the violations.
+    //
+    schema(op, schemas) {
+        this.schemas[op.toLowerCase()] = schemas;
         return this;
     }
 
-    post(handler) {
-        this.handlers.post.push(handler);
+    //
+    // Describe this resource in the endpoint description.
+    //
+    describe(text) {
+        this.summary = text;
         return this;
     }
 
-    delete(handler) {
-        this.handlers.delete.push(handler);
+    //
+    // Limit the load that requests put on this resource.  The options are those of ServerEndpoint.limit.  Requests
+    // beyond the concurrency limit wait in turn for a running one to finish, and count against the endpoint's
+    // concurrency limit while they wait.  Watches and lock requests are not counted.
+    //
+    limit(options) {
+        if (options.concurrency !== undefined) {
+            this.max_concurrency = options.concurrency;
+        }
+        if (options.rate !== undefined) {
+            this.rate_limiter = new RateLimiter(options.rate, options.burst);
+        }
+        if (options.timeout !== undefined) {
+            this.handler_timeout = options.timeout;
+        }
         return this;
     }
 
     mutex() {
         if (!this._mutex) {
-            this._mutex = new Mutex(this.endpoint);
+            this._mutex = new Mutex(this.endpoint, this.path);
         }
         return this._mutex;
     }
 
-    async _dispatch(context) {
-        let   handled = false;
-        const opcode = context.message.application_properties.op.toLowerCase();
+    //
+    // Attach a set of named counting semaphores to this resource, each with the given number of permits.
+    //
+    semaphore(permits) {
+        if (!this._semaphore) {
+            this._semaphore = new Semaphore(this.endpoint, permits, this.path);
+        }
+        return this._semaphore;
+    }
 
-        if (opcode == 'acquire') {
-            await this._mutex._dispatch(context);
-            handled = true;
-        } else {
-            for (const handler of this.handlers[opcode]) {
-                handler(context.message, new Response(context.message, this.endpoint.connection.anonSender)); // Use the 'next' argument
-                handled = true;
+    _description() {
+        let parameters = [];
+        for (const element of this.path.split('/')) {
+            if (element[0] == ':') {
+                parameters.push({ name: element.slice(1), in: 'path' });
+            } else if (element[0] == '*') {
+                parameters.push({ name: element.slice(1) || '*', in: 'path', wildcard: true });
+            }
+        }
+
+        let operations = {};
+        for (const [op, handlers] of Object.entries(this.handlers)) {
+            if (handlers.length > 0) {
+                operations[op] = { ...this.schemas[op] };
+            }
+        }
+
+        let locks = {};
+        if (this._mutex) {
+            locks.mutex = {};
+        }
+        if (this._semaphore) {
+            locks.semaphore = { permits: this._semaphore.permits };
+        }
+
+        let description = { parameters: parameters, operations: operations, locks: locks };
+        if (this.summary !== undefined) {
+            description.description = this.summary;
+        }
+        return description;
+    }
+
+    async _dispatch(context, req) {
+        const opcode   = req.op.toLowerCase();
+        const handlers = Object.hasOwn(this.handlers, opcode) ? this.handlers[opcode] : [];
+
+        if (opcode == 'acquire' || opcode == 'renew') {
+            const lock = context.message.application_properties.lock_type == LOCK_TYPE_SEMAPHORE ? this._semaphore : this._mutex;
+            if (lock) {
+                await lock._dispatch(context);
+            } else {
+                reject_request(this.endpoint.connection, context, new ApiError(405, 'There is no such lock at this resource'));
+                this.endpoint._record(req, this.path, 405);
+            }
+        } else if (handlers.length > 0) {
+            //
+            // Run the endpoint middleware, then the resource middleware, then the handlers for the operation.  The
+            // error-handling middleware of the resource and then of the endpoint come last.
+            //
+            const chain   = [
+                ...this.endpoint.middleware.filter((handler) => !is_error_handler(handler)),
+                ...this.root_handlers.filter((handler) => !is_error_handler(handler)),
+                ...handlers,
+                ...this.root_handlers.filter(is_error_handler),
+                ...this.endpoint.middleware.filter(is_error_handler),
+            ];
+            const schemas = this.schemas[opcode] || {};
+            if (!this._validate_request(context, req, schemas)) {
+                return;
+            }
+
+            //
+            // The handlers run in a server span, the child of the caller's span if it sent its trace context and
+            // otherwise the root of a new trace.
+            //
+            const tracer = this.endpoint.connection.tracer;
+            const attributes = { endpoint: this.endpoint.address, route: this.path, op: req.op };
+            req.span = tracer.start(`${req.op} ${this.path}`, 'server', attributes, req.trace || null);
+            if (opcode == 'watch') {
+                const connection = this.endpoint.connection;
+                const stream     = new WatchStream(context.message, context.delivery, connection.anonSender, connection.codecs, connection.content_type);
+                this.watches.add(stream);
+                stream.on_close(() => {
+                    this.watches.delete(stream);
+                    req._cancel();
+                });
+                try {
+                    await tracer.run(req.span, () => run_chain(chain, req, stream));
+                } catch (err) {
+                    stream._fail(this._handler_failed(req, err));
+                }
+                this.endpoint._record(req, this.path, stream.status_code);
+                tracer.end(req.span, stream.status_code);
+            } else {
+                const connection = this.endpoint.connection;
+
+                //
+                // A retry of a request that has already been handled gets the original response.
+                //
+                if (req.idempotency_key !== undefined && this.endpoint._replay(context, req)) {
+                    tracer.end(req.span);
+                    return;
+                }
+
+                if (!(await this._admit(context, req))) {
+                    if (req.idempotency_key !== undefined) {
+                        this.endpoint._forget(req);
+                    }
+                    tracer.end(req.span);
+                    return;
+                }
+
+                const res = new Response(context.message, connection.anonSender, connection.codecs, connection.content_type);
+                res.schema   = schemas.response;
+                res.sendable = () => connection._anon_sendable();
+                if (req.idempotency_key !== undefined) {
+                    res.on_sent   = (message) => this.endpoint._remember(req, message);
+                    res.on_unsent = (message) => this.endpoint._remember(req, message);
+                    res.on_stream = () => this.endpoint._finished(req, 'The original response was streamed');
+                }
+
+                //
+                // Fail the request if the handlers don't respond in time.  The failure must reach the requester
+                // before it gives up waiting, so a request with a deadline gets until its deadline.
+                //
+                let delay = req.remaining();
+                if (delay === undefined) {
+                    delay = this.handler_timeout !== undefined ? this.handler_timeout : this.endpoint.handler_timeout;
+                }
+                res.on_timeout = (delay) => {
+                    this.endpoint.logger.warn('Request handler did not respond in time', {
+                        ...request_fields(req), route: this.path, status: 504, duration: delay,
+                    });
+                };
+                res._start_watchdog(delay);
+
+                //
+                // The requester settles the request delivery to cancel the request.
+                //
+                let finished = () => {};
+                const abandon = () => {
+                    finished();
+                    this.streams.delete(abandon);
+                    res._abandon();
+                    req._cancel();
+                };
+                context.delivery.__on_update = (delivery) => {
+                    if (delivery.remote_settled && !delivery.settled) {
+                        delivery.update(true);
+                        abandon();
+                    }
+                };
+
+                try {
+                    await tracer.run(req.span, () => run_chain(chain, req, res));
+                } catch (err) {
+                    if (!res.sent) {
+                        res._send_error(this._handler_failed(req, err));
+                    } else if (!res.abandoned) {
+                        this.endpoint.logger.error('Exception in API handler after the response was sent', {
+                            ...request_fields(req), route: this.path, err: err,
+                        });
+                    }
+                }
+
+                //
+                // A handler may send its response after it returns, without awaiting it.  The request isn't done
+                // until the response goes out, or the watchdog or the requester gives up on it.
+                //
+                if (!res.sent && !res.abandoned && !res.streaming) {
+                    this.streams.add(abandon);
+                    await new Promise((resolve) => {
+                        res.on_response = resolve;
+                    });
+                }
+
+                //
+                // A streamed response may go on after the handlers return.  The request delivery stays unsettled
+                // until the stream ends so that the requester can still cancel it.
+                //
+                const settle = () => {
+                    this.streams.delete(abandon);
+                    if (!context.delivery.settled) {
+                        context.delivery.accept();
+                        context.delivery.settled = true;
+                    }
+                    const status = res.timed_out ? 504 : res.abandoned && !res.sent ? undefined
+                                                                                    : res.response_message.application_properties.status;
+                    this.endpoint._record(req, this.path, status === undefined ? 'cancelled' : status);
+                    tracer.end(req.span, status);
+                };
+                if (res.streaming && !res.sent && !res.abandoned) {
+                    this.streams.add(abandon);
+                    await new Promise((resolve) => {
+                        finished   = resolve;
+                        res.on_end = () => {
+                            settle();
+                            resolve();
+                        };
+                    });
+                } else {
+                    settle();
+                }
+                if (req.idempotency_key !== undefined) {
+                    this.endpoint._finished(req);
+                }
+                this._release();
             }
+        } else {
+            reject_request(this.endpoint.connection, context, new ApiError(405, `Operation ${req.op} is not permitted on this resource`));
+            this.endpoint._record(req, this.path, 405);
+        }
+    }
+
+    //
+    // Log an error thrown by the handlers and return the ApiError to answer with.  Errors the handlers threw to
+    // answer with a client error (4xx) are routine.
+    //
+    _handler_failed(req, err) {
+        const error = api_error(err);
+        this.endpoint.logger.log(error.status >= 500 ? 'error' : 'info', 'Request handler failed', {
+            ...request_fields(req), route: this.path, status: error.status, err: err,
+        });
+        return error;
+    }
+
+    //
+    // Check the request against the schemas for its operation.  If it doesn't match, reject it and return false.
+    //
+    _validate_request(context, req, schemas) {
+        let violations = [];
+        if (schemas.query) {
+            coerce_query(schemas.query, req.query);
+            violations.push(...validate(schemas.query, req.query, 'query'));
+        }
+        if (schemas.body) {
+            violations.push(...validate(schemas.body, req.body, 'body'));
+        }
+        if (violations.length == 0) {
+            return true;
+        }
+
+        reject_request(this.endpoint.connection, context, new ApiError(400, 'Request failed validation', violations));
+        this.endpoint._record(req, this.path, 400);
+        return false;
+    }
 
+    //
+    // Take one of the slots for running handlers, waiting in turn for one if the resource is at its concurrency
+    // limit.  Returns false if the request was given up on while it waited: its deadline passed, the requester
+    // cancelled it, or the connection was lost.
+    //
+    async _admit(context, req) {
+        if (this.max_concurrency === undefined || this.active < this.max_concurrency) {
+            this.active += 1;
+            return true;
+        }
+        const admitted = await new Promise((resolve) => this.waiting.push(resolve));
+        if (!admitted) {
+            return false;
+        }
+        if (context.delivery.remote_settled) {
+            this._release();
+            context.delivery.update(true);
+            return false;
+        }
+        if (req.remaining() === 0) {
+            this._release();
             context.delivery.accept();
             context.delivery.settled = true;
+            return false;
+        }
+        return true;
+    }
+
+    //
+    // Pass the slot on to the next request waiting for one, if there is one.
+    //
+    _release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next(true);
+        } else {
+            this.active -= 1;
+        }
+    }
+
+    _on_disconnected() {
+        for (const resolve of this.waiting.splice(0)) {
+            resolve(false);
+        }
+        for (const stream of [...this.watches]) {
+            stream._close();
+        }
+        for (const abandon of [...this.streams]) {
+            abandon();
+        }
+        for (const lock of [this._mutex, this._semaphore]) {
+            if (lock) {
+                lock._on_disconnected();
+            }
+        }
+    }
+}
+
+//
+// Run a chain of handlers Express-style.  Each handler is called with (req, res, next) and passes control to the
+// next handler by calling next(), which returns a promise that resolves once the rest of the chain has run.
+// Calling next(err), throwing, or returning a rejected promise skips ahead to the next error handler, which is a
+// handler declared with four arguments: (err, req, res, next).  This holds whether or not the handler awaited
+// next(), and the chain isn't finished until every handler it called has.  An error that is not handled by any
+// error handler is thrown back to the caller.
+//
+async function run_chain(chain, req, res) {
+    let index     = 0;
+    let unhandled = undefined;
+    let running   = new Set(); // Handler calls that have yet to finish, their errors handled
+    const next = (err) => {
+        const failed = err !== undefined && err !== null;
+        while (index < chain.length) {
+            const handler = chain[index];
+            index += 1;
+            if (is_error_handler(handler) != failed) {
+                continue;
+            }
+
+            const call = (async () => {
+                if (failed) {
+                    await handler(err, req, res, next);
+                } else {
+                    await handler(req, res, next);
+                }
+            })().catch((error) => next(error));
+            running.add(call);
+            call.then(() => running.delete(call));
+            return call;
         }
 
-        if (!handled) {
-            const response = {
-                to                     : context.message.reply_to,
-                correlation_id         : context.message.correlation_id,
-                application_properties : { status: 400, status_description: 'Not Permitted' },
-                body                   : 'Method not permitted for this resource',
-            };
-            this.endpoint.connection.anonSender.send(response);
+        if (failed) {
+            unhandled = err;
         }
+        return Promise.resolve();
+    };
+
+    await next();
+    while (running.size > 0) {
+        await Promise.all(running);
+    }
+    if (unhandled !== undefined) {
+        throw unhandled;
     }
 }
 
-export class Mutex {
-    constructor(endpoint) {
-        this.endpoint  = endpoint;
-        this.instances = {}; // name => Named mutex instance
+function is_error_handler(handler) {
+    return handler.length == 4;
+}
+
+//
+// A set of named lock instances at a resource.  Instances are created on first use.
+//
+class LockSet {
+    constructor(endpoint, name_property, path) {
+        this.endpoint      = endpoint;
+        this.name_property = name_property; // The request property that carries the instance name
+        this.path          = path;          // The path of the resource the locks are attached to
+        this.instances     = {};            // name => Named lock instance
     }
 
     queryAll() {
@@ -266,89 +1576,393 @@ export class Mutex {
     }
 
     async _dispatch(context) {
-        const ap = context.message.application_properties;
-        const mutexName = ap.mutex_name;
-        if (!this.instances[mutexName]) {
-            this.instances[mutexName] = new MutexInstance(this.endpoint);
+        const ap   = context.message.application_properties;
+        const name = ap[this.name_property];
+        if (!this.instances[name]) {
+            this.instances[name] = this._new_instance({
+                endpoint : this.endpoint.address,
+                route    : this.path,
+                lock     : this.name_property == 'mutex_name' ? 'mutex' : 'semaphore',
+                name     : name,
+            });
+        }
+        if (ap.op.toLowerCase() == 'renew') {
+            this.instances[name]._renew(context);
+        } else {
+            await this.instances[name]._dispatch(context);
+        }
+    }
+
+    _on_disconnected() {
+        for (const instance of Object.values(this.instances)) {
+            instance._reset();
         }
-        await this.instances[mutexName]._dispatch(context);
     }
 }
 
-class MutexInstance {
-    constructor(endpoint) {
-        this.endpoint = endpoint;
-        this.queue    = []; // {delivery, message}
+export class Mutex extends LockSet {
+    constructor(endpoint, path) {
+        super(endpoint, 'mutex_name', path);
+    }
+
+    //
+    // Return the acquisition-id (fencing token) of the current exclusive holder of the named mutex, or undefined
+    // if the mutex is not held exclusively.
+    //
+    holder(name) {
+        if (this.instances[name]) {
+            return this.instances[name].exclusive_holder();
+        }
+        return undefined;
+    }
+
+    //
+    // Return true if the acquisition-id belongs to a current holder of the named mutex.  Unless shared is true,
+    // only the exclusive holder qualifies.
+    //
+    is_holder(name, acquisition_id, shared=false) {
+        if (acquisition_id === undefined || !this.instances[name]) {
+            return false;
+        }
+        if (shared) {
+            return this.instances[name].holder(acquisition_id) !== undefined;
+        }
+        return this.holder(name) === acquisition_id;
+    }
+
+    //
+    // Return middleware that rejects requests that don't carry the acquisition-id of the current holder of the
+    // named mutex.  Use this to protect resources that must only be modified inside a critical section, so that
+    // a client that has lost the mutex (after stalling or losing its connection) cannot make stale changes.
+    // If shared is true, shared holders are also let through (for reads).
+    //
+    fence(name, shared=false) {
+        return (req, res, next) => {
+            if (this.is_holder(name, req.headers.acquisition_id, shared)) {
+                next();
+            } else {
+                res.status(409).send(`Request does not hold mutex ${name}`);
+            }
+        };
+    }
+
+    _new_instance(labels) {
+        return new MutexInstance(this.endpoint, labels);
+    }
+}
+
+//
+// A set of named counting semaphores, each with the same number of permits.
+//
+export class Semaphore extends LockSet {
+    constructor(endpoint, permits, path) {
+        super(endpoint, 'semaphore_name', path);
+        this.permits = permits;
+    }
+
+    //
+    // Return the number of permits of the named semaphore that are not currently held.
+    //
+    available(name) {
+        if (this.instances[name]) {
+            return this.instances[name].available();
+        }
+        return this.permits;
+    }
+
+    _new_instance(labels) {
+        return new SemaphoreInstance(this.endpoint, labels, this.permits);
+    }
+}
+
+//
+// A named lock instance.  Acquire requests are queued and granted strictly in arrival order, as far as the
+// subclass allows (_allowed) given the current holders.  A holder keeps the lock until it settles its request
+// delivery, until its lease runs out, or until the network settles the delivery because the holder went away.
+//
+class LockInstance {
+    constructor(endpoint, labels) {
+        this.endpoint            = endpoint;
+        this.labels              = labels; // Metric labels {endpoint, route, lock, name}
+        this.holders             = []; // Granted requests
+        this.queue               = []; // Waiting requests {delivery, message, mode, permits, granted, acquisition_id, timer, lease_time, lease_expires, lease_timer, arrived, granted_at}
+        this.next_acquisition_id = 1;
     }
 
     //
-    // Return a list of acquire requests for this named mutex.  The first item is the acquired one.
+    // Return a list of acquire requests for this named lock.  The current holders come first, followed by the
+    // waiters in queue order.  For a holder with a lease, lease_remaining is the time in mSec before the lease
+    // runs out.
     //
     query() {
         let list = [];
-        for (const request of this.queue) {
-            list.push(request.message.application_properties.annotations || {});
+        for (const request of this.holders.concat(this.queue)) {
+            const ap = request.message.application_properties;
+            list.push({
+                label           : ap.label,
+                annotations     : ap.annotations || {},
+                mode            : request.mode,
+                permits         : request.permits,
+                granted         : request.granted,
+                acquisition_id  : request.acquisition_id,
+                lease_remaining : request.lease_timer ? Math.max(request.lease_expires - Date.now(), 0) : undefined,
+            });
         }
         return list;
     }
 
+    //
+    // Return the current holder with the acquisition-id, or undefined if there is no such holder.
+    //
+    holder(acquisition_id) {
+        return this.holders.find((request) => request.acquisition_id === acquisition_id);
+    }
+
+    //
+    // Grant the lock to as many waiters at the head of the queue as the current holders allow.
+    //
     async grant_lock() {
-        const request = this.queue[0];
-        request.delivery.__on_update = async (delivery, state) => {
-            if (delivery.remote_settled && !delivery.settled) {
-                // Mutex has been released by the client
-                delivery.update(true);
-                this.queue.shift();
-                if (this.queue.length > 0) {
-                    await this.grant_lock();
-                }
+        while (this.queue.length > 0) {
+            const request = this.queue[0];
+            if (!this._allowed(request)) {
+                break;
             }
-        };
+            this.queue.shift();
+            this.holders.push(request);
+            this._grant(request);
+        }
+    }
+
+    //
+    // Grant the lock to a request.  Every grant carries a new acquisition-id that is greater than all the ones
+    // before it so it can be used as a fencing token.
+    //
+    _grant(request) {
+        if (request.timer) {
+            clearTimeout(request.timer);
+            request.timer = undefined;
+        }
+        request.granted        = true;
+        request.granted_at     = Date.now();
+        request.acquisition_id = this.next_acquisition_id;
+        this.next_acquisition_id += 1;
+        this.endpoint.lock_wait.observe(this.labels, (request.granted_at - request.arrived) / 1000);
+        this.endpoint.logger.debug('Lock granted', {
+            ...this.labels, correlation_id: request.message.correlation_id, acquisition_id: request.acquisition_id,
+            duration: request.granted_at - request.arrived,
+        });
+        if (request.lease_time > 0) {
+            this._start_lease(request);
+        }
         request.delivery.accept();
-        this._send_response(request.message);
+        this._send_response(request.message, 200, 'Ok', undefined, request.acquisition_id);
     }
 
     async _dispatch(context) {
         const ap = context.message.application_properties;
         let request = {
-            delivery : context.delivery,
-            message  : context.message,
-            timer    : (this.queue.length > 0 && ap.wait_time) ? setTimeout(() => {
-                // TODO
-            }, ap.wait_time) : undefined,
+            delivery       : context.delivery,
+            message        : context.message,
+            mode           : ap.lock_mode == LOCK_MODE_SHARED ? LOCK_MODE_SHARED : LOCK_MODE_EXCLUSIVE,
+            permits        : ap.permits === undefined ? 1 : ap.permits,
+            granted        : false,
+            acquisition_id : undefined,
+            timer          : undefined,
+            lease_time     : ap.lease_time,
+            lease_expires  : undefined,
+            lease_timer    : undefined,
+            arrived        : Date.now(),
+            granted_at     : undefined,
+        }
+
+        const error = this._validate(request);
+        if (error) {
+            this._send_response(request.message, 400, 'Bad Request', error);
+            request.delivery.accept();
+            request.delivery.settled = true;
+            return;
         }
+
+        request.delivery.__on_update = async (delivery, state) => {
+            if (delivery.remote_settled && !delivery.settled) {
+                // Lock has been released by the client, or the client has stopped waiting for it
+                delivery.update(true);
+                await this._remove(request);
+            }
+        };
+
         this.queue.push(request);
-        if (this.queue.length == 1) {
-            await this.grant_lock();
+        await this.grant_lock();
+        if (!request.granted && ap.wait_time > 0) {
+            //
+            // The requester is only willing to wait so long, and no later than its deadline.  If the lock is not
+            // granted in that time, drop the request from the queue and tell the requester.
+            //
+            const wait_time = ap.deadline === undefined ? ap.wait_time : Math.min(ap.wait_time, Math.max(ap.deadline - Date.now(), 0));
+            request.timer = setTimeout(async () => {
+                request.timer = undefined;
+                this.endpoint.logger.info('Lock request timed out', {
+                    ...this.labels, correlation_id: request.message.correlation_id, status: 408, duration: wait_time,
+                });
+                this._send_response(request.message, 408, 'Request Timeout');
+                request.delivery.accept();
+                request.delivery.settled = true;
+                await this._remove(request);
+            }, wait_time);
         }
     }
 
-    _send_response(message, status=200, description='Ok', body=undefined) {
+    _send_response(message, status=200, description='Ok', body=undefined, acquisition_id=undefined) {
         let resp = {
             to             : message.reply_to,
             correlation_id : message.correlation_id,
             application_properties : {
                 status             : status,
                 status_description : description,
-                acquisition_id     : 'abcde',      // TODO - fix this
             },
             body : body,
         }
+        if (acquisition_id !== undefined) {
+            resp.application_properties.acquisition_id = acquisition_id;
+        }
 
         this.endpoint.connection.anonSender.send(resp);
     }
 
-    _remove_head() {
-        this.queue.shift();
-        if (this.queue.length > 0) {
-            let head = this.queue[0];
-            if (head.timer) {
-                head.timer.cancel();
+    //
+    // (Re)start the lease timer for a holder.  If the lease runs out, the lock is revoked by settling the
+    // request delivery, which tells the holder that the lock has been dropped.
+    //
+    _start_lease(request) {
+        if (request.lease_timer) {
+            clearTimeout(request.lease_timer);
+        }
+        request.lease_expires = Date.now() + request.lease_time;
+        request.lease_timer   = setTimeout(async () => {
+            request.lease_timer = undefined;
+            this.endpoint.logger.warn('Lock lease expired', {...this.labels, acquisition_id: request.acquisition_id});
+            if (!request.delivery.settled) {
+                request.delivery.update(true);
             }
-            head.delivery.accept();
+            await this._remove(request);
+        }, request.lease_time);
+    }
+
+    //
+    // Renew the lease of the holder identified by the acquisition-id in the request.
+    //
+    _renew(context) {
+        const message = context.message;
+        const holder  = this.holder(message.application_properties.acquisition_id);
+        if (holder && holder.lease_timer) {
+            this._start_lease(holder);
+            this._send_response(message, 200, 'Ok', undefined, holder.acquisition_id);
+        } else {
+            this._send_response(message, 410, 'Lease Not Held');
+        }
+        context.delivery.accept();
+        context.delivery.settled = true;
+    }
+
+    async _remove(request) {
+        const list  = request.granted ? this.holders : this.queue;
+        const index = list.indexOf(request);
+        if (index < 0) {
+            return;
+        }
+
+        if (request.timer) {
+            clearTimeout(request.timer);
+            request.timer = undefined;
         }
+        if (request.lease_timer) {
+            clearTimeout(request.lease_timer);
+            request.lease_timer = undefined;
+        }
+        list.splice(index, 1);
+        if (request.granted) {
+            const duration = Date.now() - request.granted_at;
+            this.endpoint.lock_hold.observe(this.labels, duration / 1000);
+            this.endpoint.logger.debug('Lock released', {
+                ...this.labels, acquisition_id: request.acquisition_id, duration: duration,
+            });
+        }
+
+        //
+        // Removing a holder, or the waiter at the head of the queue, may allow others to be granted.
+        //
+        if (request.granted || index == 0) {
+            await this.grant_lock();
+        }
+    }
+
+    //
+    // Drop all holders and waiters without touching their deliveries, which went away with the connection.  The
+    // acquisition-ids keep increasing so they remain usable as fencing tokens.
+    //
+    _reset() {
+        for (const request of this.holders.concat(this.queue)) {
+            clearTimeout(request.timer);
+            clearTimeout(request.lease_timer);
+        }
+        this.holders = [];
+        this.queue   = [];
+    }
+
+    //
+    // Return an error description if the request can never be granted, undefined otherwise.
+    //
+    _validate(request) {
+        return undefined;
+    }
+}
+
+//
+// A named mutex.  Holders are granted the mutex either exclusively or shared with other shared holders.  Waiters
+// are granted strictly in arrival order: a run of shared waiters at the head of the queue is granted together, but
+// a shared waiter that arrives behind a waiting exclusive request waits its turn.  This prevents a steady stream
+// of shared holders from starving exclusive waiters.
+//
+class MutexInstance extends LockInstance {
+    //
+    // Return the acquisition-id of the exclusive holder, or undefined if the mutex is not held exclusively.
+    //
+    exclusive_holder() {
+        const head = this.holders[0];
+        return head && head.mode == LOCK_MODE_EXCLUSIVE ? head.acquisition_id : undefined;
+    }
+
+    _allowed(request) {
+        return this.holders.length == 0 || (request.mode == LOCK_MODE_SHARED && this.holders[0].mode == LOCK_MODE_SHARED);
+    }
+}
+
+//
+// A named counting semaphore.  Each holder takes one or more of the permits.  Waiters are granted in arrival
+// order, so a waiter that asks for several permits is not starved by later waiters that ask for fewer.
+//
+class SemaphoreInstance extends LockInstance {
+    constructor(endpoint, labels, permits) {
+        super(endpoint, labels);
+        this.permits = permits;
+    }
+
+    available() {
+        let held = 0;
+        for (const request of this.holders) {
+            held += request.permits;
+        }
+        return this.permits - held;
     }
 
-    async _release(delivery) {
+    _allowed(request) {
+        return request.permits <= this.available();
+    }
+
+    _validate(request) {
+        if (!Number.isInteger(request.permits) || request.permits < 1 || request.permits > this.permits) {
+            return `Permits requested must be between 1 and ${this.permits}`;
+        }
+        return undefined;
     }
 }
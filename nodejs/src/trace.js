@@ -0,0 +1,150 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+
+//
+// Trace context propagation in the W3C Trace Context format.  Requests carry 'traceparent' and 'tracestate' in
+// their application properties.  A client span is started for each fetch and critical section, and a server span
+// for each request a handler runs.  The span of the running handler (or critical section) is kept in async-local
+// storage so that the requests it makes become its children without being passed the context explicitly.
+//
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const FLAG_SAMPLED = 0x01;
+
+const storage = new AsyncLocalStorage();
+
+//
+// One operation in a trace.  Kind is 'client' or 'server'.  Parent_span_id is undefined for the root of a trace.
+// Times are in mSec since the epoch.  Status is the status of the response, if there was one, and error is the
+// error that failed the operation, if any.
+//
+export class Span {
+    constructor(name, kind, parent, attributes) {
+        this.name           = name;
+        this.kind           = kind;
+        this.trace_id       = parent ? parent.trace_id : random_id(16);
+        this.span_id        = random_id(8);
+        this.parent_span_id = parent ? parent.span_id : undefined;
+        this.flags          = parent ? parent.flags : FLAG_SAMPLED;
+        this.tracestate     = parent ? parent.tracestate : undefined;
+        this.attributes     = attributes;
+        this.start_time     = Date.now();
+        this.end_time       = undefined;
+        this.status         = undefined;
+        this.error          = undefined;
+    }
+
+    sampled() {
+        return (this.flags & FLAG_SAMPLED) != 0;
+    }
+
+    //
+    // The traceparent for requests made on behalf of this span.
+    //
+    traceparent() {
+        return `00-${this.trace_id}-${this.span_id}-${this.flags.toString(16).padStart(2, '0')}`;
+    }
+}
+
+//
+// Starts and ends spans, calling the hooks of the application.  The hooks are optional functions:
+//   on_span_start => Called with a Span when it starts
+//   on_span_end   => Called with a Span when it ends, with its end_time, status and error filled in
+// A hook can map the spans onto OpenTelemetry (or any other tracing system) using the ids, times and attributes.
+//
+export class Tracer {
+    constructor(hooks={}, logger=undefined) {
+        this.on_span_start = hooks.on_span_start;
+        this.on_span_end   = hooks.on_span_end;
+        this.logger        = logger;
+    }
+
+    //
+    // Start a span.  The parent is a Span or a remote context from parse_traceparent.  By default the parent is
+    // the span of the running handler or critical section, and without one (or with a null parent) the span starts
+    // a new trace.
+    //
+    start(name, kind, attributes={}, parent=current_span()) {
+        const span = new Span(name, kind, parent, attributes);
+        this._call(this.on_span_start, span);
+        return span;
+    }
+
+    end(span, status=undefined, error=undefined) {
+        if (span.end_time !== undefined) {
+            return;
+        }
+        span.end_time = Date.now();
+        span.status   = status;
+        span.error    = error;
+        this._call(this.on_span_end, span);
+    }
+
+    //
+    // Run a function with a span as the current span.
+    //
+    run(span, fn) {
+        return storage.run(span, fn);
+    }
+
+    _call(hook, span) {
+        if (hook) {
+            try {
+                hook(span);
+            } catch (err) {
+                if (this.logger) {
+                    this.logger.error('Exception in span hook', {span: span.name, err: err});
+                }
+            }
+        }
+    }
+}
+
+//
+// Return the span of the running handler or critical section, or undefined if there is none.
+//
+export function current_span() {
+    return storage.getStore();
+}
+
+//
+// Parse a traceparent (and optional tracestate) into a remote context {trace_id, span_id, flags, tracestate}.
+// Returns undefined if the traceparent is missing or malformed.
+//
+export function parse_traceparent(traceparent, tracestate=undefined) {
+    const match = typeof(traceparent) == 'string' ? TRACEPARENT.exec(traceparent.trim().toLowerCase()) : null;
+    if (!match || match[1] == 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return undefined;
+    }
+    return {
+        trace_id   : match[2],
+        span_id    : match[3],
+        flags      : parseInt(match[4], 16),
+        tracestate : typeof(tracestate) == 'string' && tracestate != '' ? tracestate : undefined,
+    };
+}
+
+function random_id(bytes) {
+    return randomBytes(bytes).toString('hex');
+}
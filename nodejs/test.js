@@ -19,7 +19,7 @@
 
 "use strict";
 
-import { APIConnection } from "./api-amqp.js";
+import { APIConnection, ApiError, ValidationError, Metrics, validate } from "./api-amqp.js";
 
 async function TestServer() {
     const server_connection = new APIConnection();
@@ -32,18 +32,259 @@ async function TestServer() {
     .get((req, res) => {
         res.status(200).send("Sub2");
     });
+    endpoint.route('/items/:id')
+    .get((req, res) => {
+        res.status(200).send(`item ${req.params.id}`);
+    });
+    endpoint.route('/items/special')
+    .get((req, res) => {
+        res.status(200).send('special');
+    });
+    endpoint.route('/items/:id/parts/:part')
+    .get((req, res) => {
+        res.status(200).send(`item ${req.params.id} part ${req.params.part}`);
+    });
+    endpoint.route('/files/*')
+    .get((req, res) => {
+        res.status(200).send(`file ${req.params['*']}`);
+    });
+    const settings_schema = {
+        type                 : 'object',
+        required             : ['level'],
+        properties           : { level: { type: 'integer', minimum: 0 } },
+        additionalProperties : false,
+    };
+    endpoint.route('/settings')
+    .describe('Settings of the test server')
+    .schema('put', { body: settings_schema, description: 'Change the settings' })
+    .put((req, res) => {
+        res.status(200).send(req.body.level);
+    })
+    .schema('get', {
+        query    : { type: 'object', properties: { limit: { type: 'integer', maximum: 100 } } },
+        response : { type: 'object' },
+    })
+    .get((req, res) => {
+        res.status(200).send(req.query.limit == 13 ? 'unlucky' : { limit: req.query.limit });
+    });
+    let blob;
+    endpoint.route('/blobs')
+    .put((req, res) => {
+        blob = req.body;
+        res.status(200).end();
+    })
+    .get((req, res) => {
+        res.status(200).send(blob);
+    });
+    endpoint.route('/faults')
+    .get((req, res) => {
+        throw new ApiError(409, 'The fault is in conflict', {key: 'x'});
+    })
+    .put(async (req, res) => {
+        throw new Error('boom');
+    })
+    .post((req, res) => {
+        // Never responds
+    });
+    let tally    = 0;
+    let attempts = {};
+    endpoint.route('/tally')
+    .post((req, res) => {
+        tally += 1;
+        res.status(200).send(tally);
+    });
+    let slow_runs = {};
+    endpoint.route('/tally/slow')
+    .post(async (req, res) => {
+        const key = req.idempotency_key;
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        slow_runs[key] = (slow_runs[key] || 0) + 1;
+        res.status(200).send(slow_runs[key]);
+    });
+    let later_runs = 0;
+    endpoint.route('/tally/later')
+    .post((req, res) => {
+        later_runs += 1;
+        const runs = later_runs;
+        setTimeout(() => res.status(200).send(runs), 100);
+    });
+    endpoint.route('/flaky')
+    .post((req, res) => {
+        const key = req.idempotency_key;
+        attempts[key] = (attempts[key] || 0) + 1;
+        if (attempts[key] < 3) {
+            res.status(503).send('Try again');
+        } else {
+            res.status(200).send(attempts[key]);
+        }
+    });
+    let slow_cancelled = false;
+    endpoint.route('/slow')
+    .get(async (req, res) => {
+        await new Promise((resolve) => {
+            const timer = setTimeout(resolve, 2000);
+            req.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                slow_cancelled = true;
+                resolve();
+            });
+        });
+        res.status(200).send('finally');
+    });
+    endpoint.route('/slow/cancelled')
+    .get((req, res) => {
+        res.status(200).send(slow_cancelled);
+    });
+    let stream_cancelled = false;
+    endpoint.route('/stream')
+    .get(async (req, res) => {
+        res.status(200);
+        for (let index = 0; index < req.query.count; index++) {
+            if (req.signal.aborted) {
+                stream_cancelled = true;
+                return;
+            }
+            if (index == req.query.fail_at) {
+                throw new ApiError(409, 'The stream broke');
+            }
+            await res.write({index: index});
+            if (req.query.delay) {
+                await new Promise((resolve) => setTimeout(resolve, req.query.delay));
+            }
+        }
+        res.end();
+    })
+    .schema('get', {query: {type: 'object', properties: {count: {type: 'integer'}, fail_at: {type: 'integer'}, delay: {type: 'integer'}}}});
+    endpoint.route('/stream/cancelled')
+    .get((req, res) => {
+        res.status(200).send(stream_cancelled);
+    });
+    const letters = 'abcdefghijklmnopqrstuvwxyz'.split('');
+    let letter_pages = 0;
+    endpoint.route('/letters')
+    .get((req, res) => {
+        const page  = req.page({default_limit: 10, max_limit: 20});
+        const start = page.cursor || 0;
+        const end   = start + page.limit;
+        letter_pages += 1;
+        res.status(200).send_page(letters.slice(start, end), end < letters.length ? end : undefined);
+    });
+    endpoint.route('/letters/pages')
+    .get((req, res) => {
+        res.status(200).send(letter_pages);
+    });
+    let budget_calls = 0;
+    endpoint.route('/budget')
+    .get((req, res) => {
+        budget_calls += 1;
+        res.status(200).send({remaining: req.remaining(), calls: budget_calls});
+    });
+    const relay = server_connection.client_endpoint('/test_endpoint/v1alpha1');
+    endpoint.route('/relay')
+    .get(async (req, res) => {
+        const remaining  = req.remaining();
+        const downstream = await relay.fetch('/budget', {deadline: req.deadline});
+        res.status(200).send({remaining: remaining, downstream: await downstream.data()});
+    });
+    endpoint.route('/echo')
+    .post((req, res) => {
+        res.status(200).send({
+            op           : req.op,
+            path         : req.path,
+            query        : req.query,
+            headers      : req.headers,
+            body         : req.body,
+            has_deadline : req.deadline > Date.now(),
+        });
+    });
+
+    endpoint.publish_description({path: '/api'});
+    endpoint.publish_metrics();
 
     var   counter = 0;
     const lock_test_endpoint = server_connection.server_endpoint('/lock_test/v1alpha1');
+    let mutex = lock_test_endpoint.route('/locks').mutex();
     lock_test_endpoint.route('/variables/counter')
     .get((req, res) => {
         res.status(200).send(counter);
     })
-    .put((req, res) => {
+    .put(mutex.fence('counter'), (req, res) => {
         counter = req.body;
         res.status(200).send(counter);
     });
-    let mutex = lock_test_endpoint.route('/locks').mutex();
+    lock_test_endpoint.route('/pools').semaphore(3);
+    lock_test_endpoint.publish_description({title: 'Lock test', version: 'v1alpha1'});
+    lock_test_endpoint.route('/locks/:name')
+    .get((req, res) => {
+        res.status(200).send(mutex.query(req.params.name));
+    });
+
+    var   watched  = 0;
+    var   watchers = [];
+    const watch_test_endpoint = server_connection.server_endpoint('/watch_test/v1alpha1');
+    watch_test_endpoint.route('/values/current')
+    .put((req, res) => {
+        watched = req.body;
+        for (const stream of watchers) {
+            stream.send(watched);
+        }
+        res.status(200).send(watched);
+    })
+    .watch((req, stream) => {
+        watchers.push(stream);
+        stream.on_close(() => {
+            watchers.splice(watchers.indexOf(stream), 1);
+        });
+        stream.send(watched);
+    });
+    watch_test_endpoint.route('/values/watchers')
+    .get((req, res) => {
+        res.status(200).send(watchers.length);
+    });
+
+    const middleware_test_endpoint = server_connection.server_endpoint('/middleware_test/v1alpha1');
+    middleware_test_endpoint.use((req, res, next) => {
+        req.trail = ['endpoint'];
+        next();
+    });
+    middleware_test_endpoint.route('/open')
+    .get((req, res, next) => {
+        req.trail.push('first');
+        next();
+    }, (req, res) => {
+        req.trail.push('second');
+        res.status(200).send(req.trail);
+    });
+    middleware_test_endpoint.route('/guarded')
+    .use(async (req, res, next) => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        throw new Error('Access denied');
+    })
+    .get((req, res) => {
+        res.status(200).send('Secret');
+    }, (err, req, res, next) => {
+        res.status(403).send(`${err.message}, trail: ${req.trail}`);
+    });
+    middleware_test_endpoint.route('/failing')
+    .get(() => {
+        throw new Error('Route failure');
+    });
+    middleware_test_endpoint.route('/late')
+    .get(async (req, res, next) => {
+        next();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        throw new Error('Late failure');
+    }, () => {});
+    middleware_test_endpoint.route('/unawaited')
+    .get((req, res, next) => {
+        next();
+    }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        throw new Error('Downstream failure');
+    });
+    middleware_test_endpoint.use((err, req, res, next) => {
+        res.status(500).send(`Handled: ${err.message}`);
+    });
     return server_connection;
 }
 
@@ -64,16 +305,43 @@ async function TestClient() {
     return client_connection;
 }
 
+async function RouteTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('test_endpoint/v1alpha1');
+    const expected = {
+        '/items/42'            : 'item 42',
+        '/items/special'       : 'special',
+        '/items/7/parts/wheel' : 'item 7 part wheel',
+        '/files/a/b/c.txt'     : 'file a/b/c.txt',
+    };
+    let failures = [];
+    for (const [path, body] of Object.entries(expected)) {
+        const result = await endpoint.fetch(path);
+        const data   = await result.data();
+        if (result.status() != 200 || data != body) {
+            failures.push(`${path} => (${result.status()}) ${data}`);
+        }
+    }
+    for (const path of ['/items/7/parts', '/constructor', '/toString', '/items/7/__proto__']) {
+        const result = await endpoint.fetch(path);
+        if (result.status() != 404) {
+            failures.push(`${path} => (${result.status()})`);
+        }
+    }
+    console.log(`RouteTest: ${failures.length > 0 ? `FAIL (${failures.join('; ')})` : 'PASS'}`);
+    return client_connection;
+}
+
 class CountClient {
     constructor(endpoint) {
         this.endpoint = endpoint;
     }
 
-    async increment() {
+    async increment(acquisition_id) {
         let result = await this.endpoint.fetch('/variables/counter');
         let value  = await result.data();
         value += 1;
-        result = await this.endpoint.fetch('/variables/counter', {op: 'PUT', body: value});
+        result = await this.endpoint.fetch('/variables/counter', {op: 'PUT', body: value, acquisition_id: acquisition_id});
         return value;
     }
 
@@ -82,7 +350,7 @@ class CountClient {
             '/locks',   // Path to the mutex set
             'counter',  // Mutex instance name
             async (acquisition_id) => {   // Critical section function
-                return await this.increment();
+                return await this.increment(acquisition_id);
             },
             () => {   // on_cancel function
                 console.log('Unexpected mutex abort');
@@ -122,6 +390,1040 @@ async function LockTest() {
     return client_connection;
 }
 
+async function WatchTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/watch_test/v1alpha1');
+    const watch    = endpoint.watch('/values/current');
+    let   seen     = [];
+
+    //
+    // Receive the initial value, then make changes and collect the updates.  Breaking out of the loop cancels the watch.
+    //
+    for await (const update of watch) {
+        seen.push(await update.data());
+        if (seen.length == 3) {
+            break;
+        }
+        await endpoint.fetch('/values/current', {op: 'PUT', body: seen.length});
+    }
+
+    //
+    // Give the cancellation a moment to reach the server, then check that the server closed its side.
+    //
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const result   = await endpoint.fetch('/values/watchers');
+    const watchers = await result.data();
+    const pass     = seen.join(',') == '0,1,2' && watchers == 0;
+    console.log(`WatchTest: ${pass ? 'PASS' : `FAIL (updates: ${seen}, open watchers: ${watchers})`}`);
+    return client_connection;
+}
+
+async function MiddlewareTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/middleware_test/v1alpha1');
+    let   result   = await endpoint.fetch('/open');
+    const open     = `(${result.status()}) ${await result.data()}`;
+    result = await endpoint.fetch('/guarded');
+    const guarded  = `(${result.status()}) ${await result.data()}`;
+    //
+    // Endpoint error middleware sees the errors of the route handlers, including those thrown after next().
+    //
+    let handled = [];
+    for (const path of ['/failing', '/late', '/unawaited']) {
+        result = await endpoint.fetch(path, {timeout: 1000});
+        handled.push(`(${result.status()}) ${await result.data()}`);
+    }
+    const errors = handled.join(', ') ==
+        '(500) Handled: Route failure, (500) Handled: Late failure, (500) Handled: Downstream failure';
+    const pass   = open == '(200) endpoint,first,second' && guarded == '(403) Access denied, trail: endpoint' && errors;
+    console.log(`MiddlewareTest: ${pass ? 'PASS' : `FAIL (open: ${open}, guarded: ${guarded}, errors: ${handled})`}`);
+    return client_connection;
+}
+
+async function MutexTimeoutTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/lock_test/v1alpha1');
+
+    //
+    // Hold the mutex until released by the test.
+    //
+    let release;
+    let holder;
+    await new Promise((resolve) => {
+        holder = endpoint.critical_section('/locks', 'timeout_test', async () => {
+            resolve();
+            await new Promise((done) => { release = done; });
+        }, () => {});
+    });
+
+    //
+    // A waiter with a short timeout must fail and must not be left in the server's queue.
+    //
+    let error;
+    try {
+        await endpoint.critical_section('/locks', 'timeout_test', async () => {}, () => {}, {timeout: 200});
+    } catch (err) {
+        error = err.message;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const result = await endpoint.fetch('/locks/timeout_test');
+    const queued = (await result.data()).length;
+
+    //
+    // Once released, the mutex must be available to the next waiter.
+    //
+    release();
+    await holder;
+    const after = await endpoint.critical_section('/locks', 'timeout_test', async () => 'acquired', () => {}, {timeout: 1000});
+    const pass  = error != undefined && queued == 1 && after == 'acquired';
+    console.log(`MutexTimeoutTest: ${pass ? 'PASS' : `FAIL (error: ${error}, queued: ${queued}, after: ${after})`}`);
+    return client_connection;
+}
+
+async function FencingTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/lock_test/v1alpha1');
+
+    //
+    // Each grant must carry a larger acquisition-id than the one before it.  A write carrying the id of an
+    // earlier grant, or no id at all, must be refused.
+    //
+    const first  = await endpoint.critical_section('/locks', 'counter', async (acquisition_id) => acquisition_id, () => {});
+    const second = await endpoint.critical_section('/locks', 'counter', async (acquisition_id) => {
+        const stale = await endpoint.fetch('/variables/counter', {op: 'PUT', body: -1, acquisition_id: first});
+        const none  = await endpoint.fetch('/variables/counter', {op: 'PUT', body: -1});
+        return {acquisition_id, stale: stale.status(), none: none.status()};
+    }, () => {});
+    const pass = second.acquisition_id > first && second.stale == 409 && second.none == 409;
+    console.log(`FencingTest: ${pass ? 'PASS' : `FAIL (first: ${first}, second: ${JSON.stringify(second)})`}`);
+    return client_connection;
+}
+
+async function LeaseTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/lock_test/v1alpha1');
+    const sleep    = (msec) => new Promise((resolve) => setTimeout(resolve, msec));
+
+    //
+    // A critical section that outlives its lease keeps the mutex as long as the lease is renewed.
+    //
+    let renewed_cancel = false;
+    let remaining;
+    const renewed = await endpoint.critical_section('/locks', 'lease_test', async () => {
+        await sleep(500);
+        const result = await endpoint.fetch('/locks/lease_test');
+        remaining = (await result.data())[0].lease_remaining;
+        return 'completed';
+    }, () => { renewed_cancel = true; }, {lease: 200});
+
+    //
+    // Without renewal, the server revokes the mutex when the lease runs out.
+    //
+    let expired_cancel = false;
+    let error;
+    try {
+        await endpoint.critical_section('/locks', 'lease_test', async () => {
+            await sleep(500);
+        }, () => { expired_cancel = true; }, {lease: 200, renew: false});
+    } catch (err) {
+        error = err.message;
+    }
+    const after = await endpoint.critical_section('/locks', 'lease_test', async () => 'acquired', () => {}, {timeout: 1000});
+    await sleep(400);
+
+    //
+    // The renewals of a short lease are settled, so they don't pile up on the mutex link and the link keeps
+    // working after many of them.
+    //
+    const buffer    = endpoint.senders.m.session.outgoing.deliveries;
+    const room      = buffer.available();
+    const many      = await endpoint.critical_section('/locks', 'lease_test', async () => {
+        await sleep(1000);
+        return 'completed';
+    }, () => {}, {lease: 30});
+    await sleep(100);
+    const drained   = buffer.available() == room;
+    const following = await endpoint.critical_section('/locks', 'lease_test', async () => 'acquired', () => {}, {timeout: 1000});
+
+    const pass = renewed == 'completed' && !renewed_cancel && remaining > 0 && remaining <= 200
+        && expired_cancel && error != undefined && after == 'acquired' && many == 'completed' && drained && following == 'acquired';
+    console.log(`LeaseTest: ${pass ? 'PASS' : `FAIL (renewed: ${renewed}/${renewed_cancel}/${remaining}, expired: ${expired_cancel}/${error}, after: ${after}, many: ${many}/${drained}/${following})`}`);
+    return client_connection;
+}
+
+async function SharedLockTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/lock_test/v1alpha1');
+    const sleep    = (msec) => new Promise((resolve) => setTimeout(resolve, msec));
+    let   events   = [];
+
+    const section = (name, mode, msec) => endpoint.critical_section('/locks', 'shared_test', async () => {
+        events.push(`${name}+`);
+        await sleep(msec);
+        events.push(`${name}-`);
+    }, () => {}, {mode: mode});
+
+    //
+    // Two readers share the mutex.  A writer waits for both, and a reader arriving behind the writer waits for it.
+    //
+    const r1 = section('r1', 'shared', 200);
+    const r2 = section('r2', 'shared', 200);
+    await sleep(50);
+    const result  = await endpoint.fetch('/locks/shared_test');
+    const holders = (await result.data()).filter((h) => h.granted).length;
+    const w  = section('w', 'exclusive', 100);
+    await sleep(50);
+    const r3 = section('r3', 'shared', 10);
+    await Promise.all([r1, r2, w, r3]);
+
+    const order = events.join(',');
+    const pass  = holders == 2 && events.indexOf('r2+') < events.indexOf('r1-')
+        && events.indexOf('w+') > events.indexOf('r1-') && events.indexOf('w+') > events.indexOf('r2-')
+        && events.indexOf('r3+') > events.indexOf('w-');
+    console.log(`SharedLockTest: ${pass ? 'PASS' : `FAIL (holders: ${holders}, order: ${order})`}`);
+    return client_connection;
+}
+
+async function SemaphoreTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/lock_test/v1alpha1');
+    const sleep    = (msec) => new Promise((resolve) => setTimeout(resolve, msec));
+    let   active   = 0;
+    let   peak     = 0;
+
+    const worker = (permits) => endpoint.with_permits('/pools', 'importer', permits, async () => {
+        active += permits;
+        peak    = Math.max(peak, active);
+        await sleep(100);
+        active -= permits;
+    }, () => {});
+
+    //
+    // No more than three permits may be held at once, whatever the mix of requests.
+    //
+    let workers = [worker(2)];
+    for (let i = 0; i < 6; i++) {
+        workers.push(worker(1));
+    }
+    await Promise.all(workers);
+
+    //
+    // Asking for more permits than exist fails, as does waiting too long for them.
+    //
+    let too_many;
+    try {
+        await worker(4);
+    } catch (err) {
+        too_many = err.message;
+    }
+    let timed_out;
+    const holder = worker(3);
+    await sleep(20);
+    try {
+        await endpoint.with_permits('/pools', 'importer', 1, async () => {}, () => {}, {timeout: 30});
+    } catch (err) {
+        timed_out = err.message;
+    }
+    await holder;
+
+    const pass = peak == 3 && too_many != undefined && timed_out != undefined;
+    console.log(`SemaphoreTest: ${pass ? 'PASS' : `FAIL (peak: ${peak}, too_many: ${too_many}, timed_out: ${timed_out})`}`);
+    return client_connection;
+}
+
+async function FailoverTest() {
+    //
+    // The first host has nothing listening, the connection should fail over to the second.
+    //
+    const client_connection = new APIConnection({hosts: ['localhost:1', 'localhost:5672'], initial_reconnect_delay: 50});
+    let attempts = 0;
+    client_connection.on('reconnecting', () => { attempts += 1; });
+    const connected = await new Promise((resolve) => client_connection.once('connected', resolve));
+
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+    const result   = await endpoint.fetch('/names');
+
+    const pass = attempts >= 1 && !connected.reconnected && result.status() == 200;
+    console.log(`FailoverTest: ${pass ? 'PASS' : `FAIL (attempts: ${attempts}, status: ${result.status()})`}`);
+    return client_connection;
+}
+
+async function RequestTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+
+    const echo = await (await endpoint.fetch('/echo', {
+        op      : 'POST',
+        body    : 'hello',
+        query   : {limit: 10, tag: ['a', 'b']},
+        headers : {trace: 'abc'},
+    })).data();
+    const names = await endpoint.fetch('/names?limit=10');
+
+    const pass = echo.op == 'POST' && echo.path == '/echo' && echo.query.limit == '10' && echo.query.tag.join() == 'a,b' &&
+        echo.headers.trace == 'abc' && echo.body == 'hello' && echo.has_deadline && names.status() == 200;
+    console.log(`RequestTest: ${pass ? 'PASS' : `FAIL (echo: ${JSON.stringify(echo)}, names: ${names.status()})`}`);
+    return client_connection;
+}
+
+async function SchemaTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+
+    const good       = await endpoint.fetch('/settings', {op: 'PUT', body: {level: 3}});
+    const bad        = await endpoint.fetch('/settings', {op: 'PUT', body: {level: -1, colour: 'red'}});
+    const violations = (await bad.data()).details;
+    const limited    = await (await endpoint.fetch('/settings', {query: {limit: 5}})).data();
+    const too_big    = await endpoint.fetch('/settings', {query: {limit: 500}});
+    const bad_reply  = await endpoint.fetch('/settings', {query: {limit: 13}});
+
+    //
+    // Properties named like those every object inherits are checked like any other.
+    //
+    const inherited  = await endpoint.fetch('/settings', {op: 'PUT', body: {level: 1, constructor: 'x', toString: 5}});
+    const not_own    = validate({type: 'object', required: ['constructor']}, {}, 'body');
+
+    //
+    // With the schema supplied, the client rejects the request without sending it.
+    //
+    let client_side;
+    try {
+        await endpoint.fetch('/settings', {op: 'PUT', body: {level: 'high'}, schema: {body: {type: 'object', properties: {level: {type: 'integer'}}}}});
+    } catch (err) {
+        client_side = err;
+    }
+
+    const pass = good.status() == 200 && bad.status() == 400 && violations.length == 2 && limited.limit === 5 &&
+        too_big.status() == 400 && bad_reply.status() == 500 && client_side instanceof ValidationError &&
+        client_side.violations[0].path == '/level' && inherited.status() == 400 && not_own.length == 1;
+    console.log(`SchemaTest: ${pass ? 'PASS' : `FAIL (${good.status()}, ${bad.status()}, ${JSON.stringify(violations)}, ${JSON.stringify(limited)}, ${too_big.status()}, ${bad_reply.status()}, ${client_side}, ${inherited.status()}, ${not_own.length})`}`);
+    return client_connection;
+}
+
+async function CodecTest() {
+    const client_connection = new APIConnection({content_type: 'application/json', compress_threshold: 256});
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+
+    //
+    // A MessagePack request body, and a MessagePack response because the client asked for one.
+    //
+    const packed = await endpoint.fetch('/echo', {op: 'POST', body: {a: [1, 2]}, content_type: 'application/msgpack', accept: 'text/html, application/msgpack'});
+    const echo   = await packed.data();
+
+    //
+    // Raw bytes travel untouched.
+    //
+    await endpoint.fetch('/blobs', {op: 'PUT', body: Buffer.from([0, 1, 2, 255]), content_type: 'application/octet-stream'});
+    const blob = await (await endpoint.fetch('/blobs')).data();
+
+    //
+    // A large body is compressed on the way out and decompressed by the server.
+    //
+    const large = await (await endpoint.fetch('/echo', {op: 'POST', body: 'x'.repeat(10000)})).data();
+
+    //
+    // The server has no codec for a content type only the client knows.
+    //
+    client_connection.codecs.register({
+        content_type : 'application/x-reversed',
+        encode       : (value) => Buffer.from(String(value).split('').reverse().join('')),
+        decode       : (buffer) => buffer.toString().split('').reverse().join(''),
+    });
+    const unsupported = await endpoint.fetch('/echo', {op: 'POST', body: 'abc', content_type: 'application/x-reversed'});
+
+    const pass = packed.message.content_type == 'application/msgpack' && echo.body.a.join() == '1,2' &&
+        Buffer.isBuffer(blob) && blob.equals(Buffer.from([0, 1, 2, 255])) && large.body.length == 10000 &&
+        unsupported.status() == 415;
+    console.log(`CodecTest: ${pass ? 'PASS' : `FAIL (${packed.message.content_type}, ${JSON.stringify(echo)}, ${blob}, ${large.body.length}, ${unsupported.status()})`}`);
+    return client_connection;
+}
+
+async function ErrorTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+
+    const thrown = await endpoint.fetch('/faults');
+    let   api_error;
+    try {
+        await thrown.throw_if_error();
+    } catch (err) {
+        api_error = err;
+    }
+    const crashed   = await endpoint.fetch('/faults', {op: 'PUT'});
+    const crash     = await crashed.data();
+    const silent    = await endpoint.fetch('/faults', {op: 'POST', timeout: 300});
+    const no_delete = await endpoint.fetch('/faults', {op: 'DELETE'});
+    const unknown   = await endpoint.fetch('/faults', {op: 'PATCH'});
+    const inherited = await endpoint.fetch('/faults', {op: 'constructor'});
+    const ok        = await endpoint.fetch('/names');
+    let   no_mutex;
+    try {
+        await endpoint.critical_section('/names', 'any', async () => {}, () => {});
+    } catch (err) {
+        no_mutex = err.message;
+    }
+
+    //
+    // The reply that says why a lock or watch request was refused may arrive after the settlement of the request.
+    // Hold the replies back to make sure that the reason is still reported.
+    //
+    const dispatch = endpoint._dispatch;
+    endpoint._dispatch = (context) => {
+        setTimeout(() => dispatch.call(endpoint, context), 30);
+    };
+    const late_mutex = await endpoint.critical_section('/names', 'any', async () => {}, () => {}).catch((err) => err.message);
+    let   late_watch = undefined;
+    for await (const update of endpoint.watch('/names')) {
+        late_watch = update.status();
+    }
+    endpoint._dispatch = dispatch;
+
+    const pass = !thrown.ok() && api_error instanceof ApiError && api_error.status == 409 && api_error.code == 'conflict' &&
+        api_error.details.key == 'x' && crashed.status() == 500 && crash.code == 'internal_server_error' && crash.message == 'boom' &&
+        silent.status() == 504 && no_delete.status() == 405 && unknown.status() == 405 && inherited.status() == 405 && ok.ok() &&
+        (await ok.throw_if_error()) === ok && no_mutex.includes('405') && late_mutex.includes('405') && late_watch == 405;
+    console.log(`ErrorTest: ${pass ? 'PASS' : `FAIL (${api_error}, ${JSON.stringify(crash)}, ${silent.status()}, ${no_delete.status()}, ${unknown.status()}, ${inherited.status()}, ${no_mutex}, ${late_mutex}, ${late_watch})`}`);
+    return client_connection;
+}
+
+async function RetryTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+
+    //
+    // A duplicate of a request that has been handled gets the original response.
+    //
+    const first  = await (await endpoint.fetch('/tally', {op: 'POST', idempotency_key: 'tally-1'})).data();
+    const second = await (await endpoint.fetch('/tally', {op: 'POST', idempotency_key: 'tally-1'})).data();
+    const third  = await (await endpoint.fetch('/tally', {op: 'POST', idempotency_key: 'tally-2'})).data();
+
+    //
+    // Unavailable responses are retried, with the same idempotency key, until the attempts run out.
+    //
+    const flaky    = await endpoint.fetch('/flaky', {op: 'POST', retry: {attempts: 3, initial_delay: 10}});
+    const given_up = await endpoint.fetch('/flaky', {op: 'POST', retry: {attempts: 2, initial_delay: 10}});
+
+    //
+    // A retry after the server timed out the handler waits for the handler that is still running, rather than
+    // running it a second time.
+    //
+    const timed_out = await endpoint.fetch('/tally/slow', {op: 'POST', timeout: 100, retry: {attempts: 4, initial_delay: 10}});
+    const once      = timed_out.status() == 200 && (await timed_out.data()) == 1;
+
+    //
+    // A response that the handler sends after it returns, without awaiting it, is the one a duplicate gets.
+    //
+    const later   = await endpoint.fetch('/tally/later', {op: 'POST', idempotency_key: 'later-1'});
+    const again   = await endpoint.fetch('/tally/later', {op: 'POST', idempotency_key: 'later-1'});
+    const replays = later.status() == 200 && again.status() == 200 && (await again.data()) == (await later.data());
+
+    const pass = first == second && third == first + 1 && flaky.status() == 200 && (await flaky.data()) == 3 &&
+        given_up.status() == 503 && once && replays;
+    console.log(`RetryTest: ${pass ? 'PASS' : `FAIL (${first}, ${second}, ${third}, ${flaky.status()}, ${given_up.status()}, ${once}, ${again.status()})`}`);
+    return client_connection;
+}
+
+async function CancelTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+    const locks    = client_connection.client_endpoint('/lock_test/v1alpha1');
+    const sleep    = (msec) => new Promise((resolve) => setTimeout(resolve, msec));
+
+    //
+    // A request that is withdrawn (as one that times out is) and then retried with the same idempotency key gets the response of the handler
+    // that was already running, which runs only once.
+    //
+    const post_abort = new AbortController();
+    const withdrawn  = endpoint.fetch('/tally/slow', {op: 'POST', idempotency_key: 'withdrawn-1', signal: post_abort.signal})
+        .catch((err) => err);
+    await sleep(100);
+    post_abort.abort();
+    await withdrawn;
+    const retried = await endpoint.fetch('/tally/slow', {op: 'POST', idempotency_key: 'withdrawn-1'});
+    const once    = retried.status() == 200 && (await retried.data()) == 1;
+
+    //
+    // Aborting a fetch in progress rejects it and tells the server's handler.
+    //
+    const fetch_abort = new AbortController();
+    const slow        = endpoint.fetch('/slow', {signal: fetch_abort.signal}).catch((err) => err);
+    await sleep(100);
+    fetch_abort.abort();
+    const fetch_error = await slow;
+    await sleep(100);
+    const server_saw  = await (await endpoint.fetch('/slow/cancelled')).data();
+
+    //
+    // Aborting while waiting to retry stops the wait.
+    //
+    const backoff_abort = new AbortController();
+    const backoff_start = Date.now();
+    const backing_off   = endpoint.fetch('/flaky', {op: 'POST', signal: backoff_abort.signal, retry: {attempts: 3, initial_delay: 5000}})
+        .catch((err) => err);
+    await sleep(150);
+    backoff_abort.abort();
+    const backoff_error = await backing_off;
+    const backoff_time  = Date.now() - backoff_start;
+
+    //
+    // An already-aborted signal fails the fetch without sending it.
+    //
+    const early = await endpoint.fetch('/names', {signal: AbortSignal.abort()}).catch((err) => err);
+
+    //
+    // Aborting a waiter removes it from the mutex queue.
+    //
+    const holder = locks.critical_section('/locks', 'cancel_test', async () => { await sleep(400); }, () => {});
+    await sleep(50);
+    const wait_abort = new AbortController();
+    const waiter     = locks.critical_section('/locks', 'cancel_test', async () => {}, () => {}, {signal: wait_abort.signal}).catch((err) => err);
+    await sleep(50);
+    const queued = (await (await locks.fetch('/locks/cancel_test')).data()).length;
+    wait_abort.abort();
+    const wait_error = await waiter;
+    await sleep(50);
+    const after  = (await (await locks.fetch('/locks/cancel_test')).data()).length;
+    await holder;
+
+    const pass = fetch_error.name == 'AbortError' && server_saw === true && early.name == 'AbortError' &&
+        queued == 2 && wait_error.name == 'AbortError' && after == 1 && once && backoff_error.name == 'AbortError' &&
+        backoff_time < 1000;
+    console.log(`CancelTest: ${pass ? 'PASS' : `FAIL (${fetch_error}, ${server_saw}, ${early}, ${queued}, ${wait_error}, ${after}, ${once}, ${backoff_error}, ${backoff_time})`}`);
+    return client_connection;
+}
+
+async function DeadlineTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+
+    //
+    // The handler sees the time left and passes it on to the request it makes.
+    //
+    const relayed = await (await endpoint.fetch('/relay', {timeout: 2000})).data();
+
+    //
+    // A request whose deadline has passed is dropped by the server without running the handler.
+    //
+    const before  = (await (await endpoint.fetch('/budget')).data()).calls;
+    const expired = await endpoint.fetch('/budget', {deadline: Date.now() - 1}).catch((err) => err);
+    const after   = (await (await endpoint.fetch('/budget')).data()).calls;
+
+    const pass = relayed.remaining > 0 && relayed.remaining <= 2000 && relayed.downstream.remaining > 0 &&
+        relayed.downstream.remaining <= relayed.remaining && expired instanceof Error && after == before + 1;
+    console.log(`DeadlineTest: ${pass ? 'PASS' : `FAIL (${JSON.stringify(relayed)}, ${expired}, ${before}, ${after})`}`);
+    return client_connection;
+}
+
+async function StreamTest() {
+    const client_connection = new APIConnection({reply_credit: 4});
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+    const sleep    = (msec) => new Promise((resolve) => setTimeout(resolve, msec));
+
+    //
+    // A slow reader gets every chunk in order while no more than its reply credit is held for it.
+    //
+    const result = await endpoint.fetch('/stream', {query: {count: 20}});
+    let indexes  = [];
+    let held     = 0;
+    for await (const chunk of result) {
+        indexes.push(chunk.index);
+        held = Math.max(held, client_connection.reply_backlog);
+        await sleep(10);
+    }
+    const in_order = indexes.length == 20 && indexes.every((index, i) => index == i);
+
+    //
+    // data() collects the chunks of a stream.  A failure mid-stream is raised after the chunks sent before it.
+    //
+    const all    = await (await endpoint.fetch('/stream', {query: {count: 3}})).data();
+    let received = 0;
+    let error    = undefined;
+    try {
+        for await (const chunk of await endpoint.fetch('/stream', {query: {count: 10, fail_at: 4}})) {
+            received += 1;
+        }
+    } catch (err) {
+        error = err;
+    }
+
+    //
+    // Leaving the loop early cancels the rest of the stream.
+    //
+    for await (const chunk of await endpoint.fetch('/stream', {query: {count: 1000, delay: 5}})) {
+        if (chunk.index == 2) {
+            break;
+        }
+    }
+    await sleep(200);
+    const cancelled = await (await endpoint.fetch('/stream/cancelled')).data();
+
+    //
+    // A stream left unread holds no more than its share of the reply credit, so other fetches still get their
+    // replies.  Closing it gives the credit back and ends it for the reader.
+    //
+    const unread = await endpoint.fetch('/stream', {query: {count: 1000, delay: 5}});
+    await sleep(100);
+    const other  = await endpoint.fetch('/stream', {query: {count: 3}}).then((result) => result.data(), (err) => err);
+    unread.close();
+    let after_close = 0;
+    for await (const chunk of unread) {
+        after_close += 1;
+    }
+    const shared = Array.isArray(other) && other.length == 3 && after_close == 0;
+
+    const pass = in_order && held <= 4 && all.length == 3 && received == 4 && error instanceof ApiError &&
+        error.status == 409 && error.message == 'The stream broke' && cancelled === true && shared &&
+        client_connection.reply_backlog == 0;
+    console.log(`StreamTest: ${pass ? 'PASS' : `FAIL (${indexes}, ${held}, ${JSON.stringify(all)}, ${received}, ${error}, ${cancelled}, ${other}, ${after_close}, ${client_connection.reply_backlog})`}`);
+    return client_connection;
+}
+
+async function PaginateTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+    const pages    = async () => await (await endpoint.fetch('/letters/pages')).data();
+
+    //
+    // The iteration walks every page, at the requested size or the server's default.
+    //
+    let by_five = [];
+    for await (const letter of endpoint.paginate('/letters', {limit: 5})) {
+        by_five.push(letter);
+    }
+    let start = await pages();
+    let by_default = [];
+    for await (const letter of endpoint.paginate('/letters')) {
+        by_default.push(letter);
+    }
+    const default_pages = await pages() - start;
+
+    //
+    // Pages are fetched lazily.
+    //
+    start = await pages();
+    for await (const letter of endpoint.paginate('/letters', {limit: 5})) {
+        if (letter == 'c') {
+            break;
+        }
+    }
+    const lazy_pages = await pages() - start;
+
+    //
+    // Bad paging parameters are rejected.
+    //
+    const too_big    = await endpoint.paginate('/letters', {limit: 50}).next().catch((err) => err);
+    const bad_cursor = await endpoint.fetch('/letters', {query: {cursor: 'not a cursor'}});
+
+    const pass = by_five.join('') == 'abcdefghijklmnopqrstuvwxyz' && by_default.length == 26 && default_pages == 3 &&
+        lazy_pages == 1 && too_big instanceof ApiError && too_big.status == 400 && bad_cursor.status() == 400;
+    console.log(`PaginateTest: ${pass ? 'PASS' : `FAIL (${by_five}, ${by_default.length}, ${default_pages}, ${lazy_pages}, ${too_big}, ${bad_cursor.status()})`}`);
+    return client_connection;
+}
+
+async function DescribeTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+    const locks    = client_connection.client_endpoint('/lock_test/v1alpha1');
+
+    const api      = await endpoint.describe({path: '/api'});
+    const settings = api.paths['/settings'];
+    const item     = api.paths['/items/:id'];
+    const lock_api = await locks.describe();
+    const missing  = await endpoint.describe().catch((err) => err);
+
+    const pass = api.address == '/test_endpoint/v1alpha1' && settings.description == 'Settings of the test server' &&
+        settings.operations.put.description == 'Change the settings' && settings.operations.get.query.properties.limit.maximum == 100 &&
+        item.parameters[0].name == 'id' && Object.keys(item.operations).join() == 'get' && api.paths['/api'] !== undefined &&
+        lock_api.info.title == 'Lock test' && lock_api.paths['/locks'].locks.mutex !== undefined &&
+        lock_api.paths['/pools'].locks.semaphore.permits == 3 && missing instanceof ApiError && missing.status == 404;
+    console.log(`DescribeTest: ${pass ? 'PASS' : `FAIL (${JSON.stringify(api)}, ${JSON.stringify(lock_api)}, ${missing})`}`);
+    return client_connection;
+}
+
+async function ResourceTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+    const locks    = client_connection.client_endpoint('/lock_test/v1alpha1');
+
+    //
+    // Operations on resources, with the parameters filled into the path.
+    //
+    const counter = locks.resource('/variables/counter');
+    const written = await locks.resource('/locks').mutex('counter').run(async (acquisition_id) => {
+        return await (await counter.put(21, {headers: {acquisition_id: acquisition_id}})).data();
+    });
+    const read = await (await counter.get()).data();
+    const item = await (await endpoint.resource('/items/:id', {id: 'a b'}).get()).data();
+
+    //
+    // A proxy from the server's description catches mistakes before anything is sent.
+    //
+    const api     = await locks.discover();
+    const proxied = await (await api.resource('/variables/counter').get()).data();
+    const failures = [
+        () => api.resource('/variables/counters'),
+        () => api.resource('/locks/:name'),
+        () => api.resource('/variables/counter').mutex('counter'),
+        () => api.resource('constructor'),
+    ].map((attempt) => { try { attempt(); return undefined; } catch (err) { return err; } });
+    const bad_op = await api.resource('/variables/counter').post(1).catch((err) => err);
+    const settings  = (await endpoint.discover({path: '/api'})).resource('/settings');
+    const bad_body  = await settings.put({level: -1}).catch((err) => err);
+    const bad_query = await settings.get({query: {limit: 500}}).catch((err) => err);
+
+    const pass = written == 21 && read == 21 && item == 'item a b' && proxied == 21 && failures.every((err) => err instanceof Error) &&
+        failures[3].message.startsWith('There is no route') && bad_op instanceof Error && !(bad_op instanceof ApiError) && bad_body instanceof ValidationError &&
+        bad_query instanceof ValidationError;
+    console.log(`ResourceTest: ${pass ? 'PASS' : `FAIL (${written}, ${read}, ${item}, ${proxied}, ${failures}, ${bad_op}, ${bad_body}, ${bad_query})`}`);
+    return client_connection;
+}
+
+async function MetricsTest() {
+    const client_connection = new APIConnection();
+    const endpoint = client_connection.client_endpoint('/test_endpoint/v1alpha1');
+    const locks    = client_connection.client_endpoint('/lock_test/v1alpha1');
+    const metrics  = client_connection.metrics;
+
+    await endpoint.fetch('/names');
+    await endpoint.fetch('/names');
+    await endpoint.fetch('/nowhere');
+    await locks.critical_section('/locks', 'metrics_test', async () => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }, () => {});
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    //
+    // The client counts its requests and times them.
+    //
+    const labels  = {endpoint: '/test_endpoint/v1alpha1', op: 'GET', status: '200'};
+    const ok      = metrics.value('amqp_api_client_requests_total', labels);
+    const missing = metrics.value('amqp_api_client_requests_total', {...labels, status: '404'});
+    const latency = metrics.value('amqp_api_client_request_duration_seconds', labels);
+    const queued  = metrics.value('amqp_api_client_queue_depth', {endpoint: '/test_endpoint/v1alpha1', link_class: 'f'});
+
+    //
+    // The server publishes its metrics, including those of the locks.
+    //
+    const result = await endpoint.fetch('/_metrics');
+    const text   = await result.data();
+    const served = text.includes('# TYPE amqp_api_server_requests_total counter') &&
+        /amqp_api_server_requests_total\{endpoint="\/test_endpoint\/v1alpha1",route="\/names",op="GET",status="200"\} [1-9]/.test(text) &&
+        /amqp_api_server_requests_total\{endpoint="\/test_endpoint\/v1alpha1",route="",op="GET",status="404"\} [1-9]/.test(text) &&
+        /amqp_api_lock_hold_seconds_count\{endpoint="\/lock_test\/v1alpha1",route="\/locks",lock="mutex",name="metrics_test"\} 1/.test(text) &&
+        /amqp_api_lock_waiters\{endpoint="\/lock_test\/v1alpha1",route="\/locks",lock="mutex",name="metrics_test"\} 0/.test(text);
+
+    //
+    // Closed endpoints and connections stop reporting their gauges, so an address used again in a shared registry
+    // is reported once.  A connection closed before it is open reconnects, so each is closed once open.
+    //
+    const opened = (connection) => new Promise((resolve) => connection.once('connected', resolve));
+    const shared = new Metrics();
+    const first  = new APIConnection({metrics: shared});
+    const first_open   = opened(first);
+    const served_first = first.server_endpoint('/metrics_test');
+    first.client_endpoint('/metrics_test');
+    const collectors = shared.collectors.size;
+    await first_open;
+    served_first.close();
+    const dropped = shared.value('amqp_api_server_active_requests', {endpoint: '/metrics_test'}) === undefined;
+    first.close();
+    const second = new APIConnection({metrics: shared});
+    const second_open = opened(second);
+    second.client_endpoint('/metrics_test');
+    second.server_endpoint('/metrics_test');
+    const reused = shared.collectors.size == collectors;
+    await second_open;
+    second.close();
+    const released = dropped && reused && shared.collectors.size == 0 &&
+        shared.value('amqp_api_client_queue_depth', {endpoint: '/metrics_test', link_class: 'f'}) === undefined;
+
+    const pass = ok == 2 && missing == 1 && latency.count == 2 && latency.buckets[latency.buckets.length - 1] == 2 && queued == 0 &&
+        result.message.content_type.startsWith('text/plain; version=0.0.4') && served && released;
+    console.log(`MetricsTest: ${pass ? 'PASS' : `FAIL (${ok}, ${missing}, ${JSON.stringify(latency)}, ${queued}, ${served}, ${dropped}, ${reused})`}`);
+    if (!pass) {
+        console.log(text);
+    }
+    return client_connection;
+}
+
+async function TraceTest() {
+    let spans = [];
+    const connection = new APIConnection({tracing: {on_span_end: (span) => spans.push(span)}});
+    const server     = connection.server_endpoint('/trace_test');
+    const client     = connection.client_endpoint('/trace_test');
+    const locks      = connection.client_endpoint('/lock_test/v1alpha1');
+    server.route('/outer')
+    .get(async (req, res) => {
+        const inner = await client.fetch('/inner');
+        res.status(200).send({outer: req.trace, inner: await inner.data()});
+    });
+    server.route('/inner')
+    .get((req, res) => {
+        res.status(200).send(req.trace);
+    });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    //
+    // The trace carries through the handler to the nested call.
+    //
+    const result    = await (await client.fetch('/outer')).data();
+    const find      = (kind, name) => spans.find((span) => span.kind == kind && span.name == name);
+    const outer     = find('client', 'GET /outer');
+    const outer_srv = find('server', 'GET /outer');
+    const inner     = find('client', 'GET /inner');
+    const inner_srv = find('server', 'GET /inner');
+    const chained   = result.outer.span_id == outer.span_id && outer_srv.parent_span_id == outer.span_id &&
+        inner.parent_span_id == outer_srv.span_id && result.inner.span_id == inner.span_id && inner_srv.parent_span_id == inner.span_id &&
+        [outer_srv, inner, inner_srv].every((span) => span.trace_id == outer.trace_id) && outer.parent_span_id === undefined &&
+        outer.status == 200 && outer.end_time >= outer.start_time;
+
+    //
+    // A traceparent given by the caller is continued, tracestate included.
+    //
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+    const continued   = await (await client.fetch('/inner', {headers: {traceparent: traceparent, tracestate: 'vendor=1'}})).data();
+    const adopted     = continued.trace_id == '0af7651916cd43dd8448eb211c80319c' && continued.tracestate == 'vendor=1' &&
+        continued.span_id != 'b7ad6b7169203331';
+
+    //
+    // Requests made inside a critical section are children of its span.
+    //
+    spans = [];
+    await locks.critical_section('/locks', 'trace_test', async () => {
+        await client.fetch('/inner');
+    }, () => {});
+    const section = find('client', 'ACQUIRE /locks');
+    const nested  = find('client', 'GET /inner');
+    const in_section = section !== undefined && nested.parent_span_id == section.span_id && nested.trace_id == section.trace_id;
+
+    const pass = chained && adopted && in_section;
+    console.log(`TraceTest: ${pass ? 'PASS' : `FAIL (${chained}, ${adopted}, ${in_section}, ${JSON.stringify(result)})`}`);
+    return connection;
+}
+
+async function LoggerTest() {
+    let records = [];
+    const connection = new APIConnection({logger: (level, message, fields) => records.push({level, message, ...fields})});
+    const server     = connection.server_endpoint('/logger_test');
+    const client     = connection.client_endpoint('/logger_test');
+    const locks      = connection.client_endpoint('/lock_test/v1alpha1');
+    server.route('/ok')
+    .get((req, res) => {
+        res.status(200).send('ok');
+    });
+    server.route('/broken')
+    .get(() => {
+        throw new Error('broken');
+    });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    //
+    // Requests are logged with the fields that identify them.
+    //
+    await client.fetch('/ok');
+    await client.fetch('/missing');
+    await client.fetch('/broken');
+    const find      = (message, status) => records.find((r) => r.message == message && (status === undefined || r.status == status));
+    const handled   = find('Request handled', 200);
+    const missing   = find('No resource found at path');
+    const failed    = find('Request handler failed');
+    const completed = find('Request completed', 200);
+    const requests  = handled && handled.level == 'debug' && handled.endpoint == '/logger_test' && handled.route == '/ok' &&
+        handled.op == 'GET' && handled.correlation_id !== undefined && handled.duration >= 0 &&
+        missing && missing.level == 'info' && missing.path == '/missing' && missing.status == 404 &&
+        failed && failed.level == 'error' && failed.status == 500 && failed.err.message == 'broken' &&
+        completed && completed.path == '/ok' && completed.correlation_id == handled.correlation_id;
+
+    //
+    // A critical section logs the acquisition and release of the lock.
+    //
+    records = [];
+    await locks.critical_section('/locks', 'logger_test', async () => {}, () => {});
+    const acquired = find('Lock acquired');
+    const released = find('Lock released');
+    const lock_log = acquired !== undefined && released !== undefined && acquired.acquisition_id !== undefined &&
+        released.acquisition_id == acquired.acquisition_id && acquired.mutex_name == 'logger_test';
+
+    //
+    // Without a logger nothing is logged, and a logger object gets the records in the style it was given.
+    //
+    let lines = [];
+    const quiet  = new APIConnection();
+    const styled = new APIConnection({logger: {info: (...args) => lines.push(args)}, logger_style: 'message-first'});
+    const opened = Promise.all([quiet, styled].map((conn) => new Promise((resolve) => conn.once('connected', resolve))));
+    styled.logger.child({endpoint: '/x'}).info('hello', {status: 200});
+    styled.logger.debug('dropped');
+    const styles = quiet.logger.target === undefined && lines.length == 1 && lines[0][0] == 'hello' &&
+        lines[0][1].endpoint == '/x' && lines[0][1].status == 200;
+
+    //
+    // A connection closed before it is open reconnects, so wait for these to open before closing them.
+    //
+    await opened;
+    quiet.close();
+    styled.close();
+
+    const pass = requests && lock_log && styles;
+    console.log(`LoggerTest: ${pass ? 'PASS' : `FAIL (${requests}, ${lock_log}, ${styles})`}`);
+    return connection;
+}
+
+async function AuthTest() {
+    const connection = new APIConnection();
+    const alice      = new APIConnection({username: 'alice'});
+    const bob        = new APIConnection({username: 'bob'});
+    const server     = connection.server_endpoint('/auth_test');
+    let counter = 0;
+    server.route('/variables/:name')
+    .get((req, res) => {
+        res.status(200).send(counter);
+    })
+    .put((req, res) => {
+        counter = req.body;
+        res.status(204).end();
+    });
+    server.route('/locks').mutex();
+    server.route('/open')
+    .get((req, res) => {
+        res.status(200).send(req.user_id || 'nobody');
+    });
+    server.authorize([
+        { route: '/variables/:name', op: 'PUT', allow: ['alice'] },
+        { route: '/variables/:name', op: 'GET', allow: '*' },
+        { route: '/locks', op: 'ACQUIRE', mutex_name: 'counter', allow: ['alice'] },
+        { route: '/locks', op: 'ACQUIRE', allow: (req) => req.user_id == 'bob' && req.headers.mutex_name.startsWith('bob-') },
+        { route: '/open', allow: () => true },
+    ]);
+    const as_alice  = alice.client_endpoint('/auth_test');
+    const as_bob    = bob.client_endpoint('/auth_test');
+    const as_nobody = connection.client_endpoint('/auth_test');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    //
+    // Operations on routes are allowed per identity, and callers without one are told to authenticate.
+    //
+    const status  = async (result) => (await result).status();
+    const routes  = await status(as_alice.fetch('/variables/counter', {op: 'PUT', body: 5})) == 204 &&
+        await status(as_bob.fetch('/variables/counter', {op: 'PUT', body: 6})) == 403 &&
+        await status(as_bob.fetch('/variables/counter')) == 200 &&
+        await status(as_nobody.fetch('/variables/counter')) == 401 &&
+        await status(as_bob.fetch('/variables/counter', {op: 'DELETE'})) == 403 && counter == 5;
+
+    //
+    // Mutexes are allowed per name, by a rule or a policy function.
+    //
+    const section = (endpoint, name) => endpoint.critical_section('/locks', name, async () => 'held', () => {})
+        .catch((err) => err.message);
+    const locks = await section(as_alice, 'counter') == 'held' &&
+        (await section(as_bob, 'counter')).includes('403') &&
+        await section(as_bob, 'bob-own') == 'held' &&
+        (await section(as_alice, 'bob-own')).includes('403');
+
+    //
+    // A policy function may let anyone in.
+    //
+    const open = await (await as_nobody.fetch('/open')).data() == 'nobody' &&
+        await (await as_bob.fetch('/open')).data() == 'bob';
+
+    //
+    // The identity is the username the client connected with.  A header can't claim another one.
+    //
+    const claimed = await (await as_bob.fetch('/open', {headers: {user_id: 'alice'}})).data() == 'bob';
+
+    alice.close();
+    bob.close();
+    const pass = routes && locks && open && claimed;
+    console.log(`AuthTest: ${pass ? 'PASS' : `FAIL (${routes}, ${locks}, ${open}, ${claimed})`}`);
+    return connection;
+}
+
+async function LimitTest() {
+    const connection = new APIConnection();
+    const alice      = new APIConnection({username: 'alice'});
+    const server     = connection.server_endpoint('/limit_test');
+    const client     = connection.client_endpoint('/limit_test');
+    const as_alice   = alice.client_endpoint('/limit_test');
+    const running    = { '/slow': 0, '/single': 0 };
+    const most       = { '/slow': 0, '/single': 0 };
+    const slow = async (req, res) => {
+        running[req.path] += 1;
+        most[req.path] = Math.max(most[req.path], running[req.path]);
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        running[req.path] -= 1;
+        res.status(200).send('done');
+    };
+
+    //
+    // The handler timeout only applies to requests without a deadline.  These have one, so the slow handlers
+    // still get to respond.
+    //
+    server.limit({concurrency: 3, timeout: 50});
+    server.route('/slow').get(slow);
+    server.route('/single').get(slow).limit({concurrency: 1});
+    server.route('/rated')
+    .get((req, res) => {
+        res.status(200).send('ok');
+    })
+    .limit({rate: 4, burst: 2});
+    server.route('/locks').mutex();
+    const both_server = connection.server_endpoint('/rate_test');
+    const both_client = connection.client_endpoint('/rate_test');
+    both_server.limit({rate: 1, burst: 3});
+    both_server.route('/tight').get((req, res) => res.status(200).send('ok')).limit({rate: 1, burst: 1});
+    both_server.route('/loose').get((req, res) => res.status(200).send('ok'));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    //
+    // The endpoint takes no more requests than its limit at once, and the route runs one handler at a time.
+    //
+    const statuses = async (path, count) => {
+        const results = await Promise.all([...Array(count).keys()].map(() => client.fetch(path)));
+        return results.map((result) => result.status());
+    };
+    const endpoint   = (await statuses('/slow', 8)).every((status) => status == 200) && most['/slow'] == 3;
+    const route      = (await statuses('/single', 3)).every((status) => status == 200) && most['/single'] == 1;
+
+    //
+    // A lease is renewed while the endpoint is saturated with fetches.
+    //
+    let   lost    = false;
+    const flood   = statuses('/slow', 30);
+    const leased  = await client.critical_section('/locks', 'busy', async () => {
+        await new Promise((resolve) => setTimeout(resolve, 600));
+        return 'kept';
+    }, () => { lost = true; }, {lease: 150}).catch((err) => err.message);
+    const renewed = leased == 'kept' && !lost && (await flood).every((status) => status == 200);
+
+    const active     = connection.metrics.value('amqp_api_server_active_requests', {endpoint: '/limit_test'}) == 0;
+    const concurrency = endpoint && route && renewed && active && server.active == 0;
+
+    //
+    // Each caller has its own rate limit.  Going over it gets 429 with a hint of when to try again, which the
+    // client's retries respect.
+    //
+    const [first, second, third] = await Promise.all([1, 2, 3].map(() => client.fetch('/rated')));
+    const retry_after = third.message.application_properties.retry_after;
+    const own_bucket  = (await as_alice.fetch('/rated')).status() == 200;
+    const started     = Date.now();
+    const retried     = await client.fetch('/rated', {retry: {attempts: 3, initial_delay: 10}});
+    const rate = first.status() == 200 && second.status() == 200 && third.status() == 429 && retry_after > 0 &&
+        retry_after <= 250 && (await third.data()).code == 'too_many_requests' && own_bucket &&
+        retried.status() == 200 && Date.now() - started >= 100;
+
+    //
+    // Requests that the route's limit turns away don't use up the endpoint's.
+    //
+    const tight   = await Promise.all([1, 2, 3].map(() => both_client.fetch('/tight')));
+    const loose   = await Promise.all([1, 2].map(() => both_client.fetch('/loose')));
+    const layered = tight.map((result) => result.status()).join() == '200,429,429' &&
+        loose.every((result) => result.status() == 200);
+
+    alice.close();
+    const pass = concurrency && rate && layered;
+    console.log(`LimitTest: ${pass ? 'PASS' : `FAIL (${endpoint}, ${route}, ${renewed}, ${active}, ${rate}, ${retry_after}, ${layered})`}`);
+    return connection;
+}
+
 function check_cleanup(conn, label) {
     const stats = conn.get_stats();
     if (stats.in_flight_count > 0) {
@@ -131,12 +1433,87 @@ function check_cleanup(conn, label) {
 
 const conn1 = await TestServer();
 const conn2 = await TestClient();
-const conn3 = await LockTest();
+const conn3 = await RouteTest();
+const conn4 = await LockTest();
+const conn5 = await WatchTest();
+const conn6 = await MiddlewareTest();
+const conn7 = await MutexTimeoutTest();
+const conn8 = await FencingTest();
+const conn9 = await LeaseTest();
+const conn10 = await SharedLockTest();
+const conn11 = await SemaphoreTest();
+const conn12 = await FailoverTest();
+const conn13 = await RequestTest();
+const conn14 = await SchemaTest();
+const conn15 = await CodecTest();
+const conn16 = await ErrorTest();
+const conn17 = await RetryTest();
+const conn18 = await CancelTest();
+const conn19 = await DeadlineTest();
+const conn20 = await StreamTest();
+const conn21 = await PaginateTest();
+const conn22 = await DescribeTest();
+const conn23 = await ResourceTest();
+const conn24 = await MetricsTest();
+const conn25 = await TraceTest();
+const conn26 = await LoggerTest();
+const conn27 = await AuthTest();
+const conn28 = await LimitTest();
 
 check_cleanup(conn1, "Server");
 check_cleanup(conn2, "Client");
-check_cleanup(conn3, "LockTest");
+check_cleanup(conn3, "RouteTest");
+check_cleanup(conn4, "LockTest");
+check_cleanup(conn5, "WatchTest");
+check_cleanup(conn6, "MiddlewareTest");
+check_cleanup(conn7, "MutexTimeoutTest");
+check_cleanup(conn8, "FencingTest");
+check_cleanup(conn9, "LeaseTest");
+check_cleanup(conn10, "SharedLockTest");
+check_cleanup(conn11, "SemaphoreTest");
+check_cleanup(conn12, "FailoverTest");
+check_cleanup(conn13, "RequestTest");
+check_cleanup(conn14, "SchemaTest");
+check_cleanup(conn15, "CodecTest");
+check_cleanup(conn16, "ErrorTest");
+check_cleanup(conn17, "RetryTest");
+check_cleanup(conn18, "CancelTest");
+check_cleanup(conn19, "DeadlineTest");
+check_cleanup(conn20, "StreamTest");
+check_cleanup(conn21, "PaginateTest");
+check_cleanup(conn22, "DescribeTest");
+check_cleanup(conn23, "ResourceTest");
+check_cleanup(conn24, "MetricsTest");
+check_cleanup(conn25, "TraceTest");
+check_cleanup(conn26, "LoggerTest");
+check_cleanup(conn27, "AuthTest");
+check_cleanup(conn28, "LimitTest");
 
+conn28.close();
+conn27.close();
+conn26.close();
+conn25.close();
+conn24.close();
+conn23.close();
+conn22.close();
+conn21.close();
+conn20.close();
+conn19.close();
+conn18.close();
+conn17.close();
+conn16.close();
+conn15.close();
+conn14.close();
+conn13.close();
+conn12.close();
+conn11.close();
+conn10.close();
+conn9.close();
+conn8.close();
+conn7.close();
+conn6.close();
+conn5.close();
+conn4.close();
 conn3.close();
 conn2.close();
 conn1.close();